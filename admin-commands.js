@@ -6,6 +6,9 @@ class AdminCommands {
     this.adminDids = new Set(config.adminDids || []);
     this.botWorker = null;
     this.jobQueue = null;
+    this.stateStore = null;
+    this.userStore = null;
+    this.tiers = null;
   }
 
   /**
@@ -22,6 +25,27 @@ class AdminCommands {
     this.jobQueue = queue;
   }
 
+  /**
+   * Set the per-user interpreter state store
+   */
+  setStateStore(store) {
+    this.stateStore = store;
+  }
+
+  /**
+   * Set the per-user key-value store
+   */
+  setUserStore(store) {
+    this.userStore = store;
+  }
+
+  /**
+   * Set the user limit tiers
+   */
+  setTiers(tiers) {
+    this.tiers = tiers;
+  }
+
   /**
    * Check if a user is an admin
    */
@@ -92,6 +116,18 @@ class AdminCommands {
         case 'resume':
           return await this.cmdResume();
 
+        case 'wipe':
+          return await this.cmdWipe(args[0]);
+
+        case 'store':
+          return await this.cmdStore(args);
+
+        case 'tier':
+          return this.cmdTier(args);
+
+        case 'tiers':
+          return this.cmdTiers();
+
         default:
           return `Unknown admin command: !${command}\nUse !help for available commands.`;
       }
@@ -119,6 +155,13 @@ class AdminCommands {
 !queue - Show queue status (queue mode only)
 !pause - Pause job processing (queue mode only)
 !resume - Resume job processing (queue mode only)
+!wipe <did> - Wipe a user's persisted globals
+!store <did> - Show a user's stored keys
+!store purge <did> - Delete a user's stored keys
+!tiers - List limit tiers
+!tier <did> - Show a user's tier
+!tier <did> <tier> - Assign a user to a tier
+!tier <did> clear - Remove a user's tier assignment
 !help - Show this help message`;
   }
 
@@ -137,7 +180,17 @@ Successful: ${workerStats.successful}
 Failed: ${workerStats.failed}
 Rate Limited: ${workerStats.rateLimited}
 Uptime: ${Math.floor(workerStats.uptime / 1000)}s
-Tracked Users: ${workerStats.trackedUsers}`;
+Tracked Users: ${workerStats.trackedUsers}
+Sandbox Workers: ${workerStats.pool.busy}/${workerStats.pool.workers} busy (${workerStats.pool.killed} killed, ${workerStats.pool.crashed} crashed)`;
+
+    const resources = workerStats.resources;
+    if (resources && resources.evals > 0) {
+      response += `\n\n⏱ Resources (${resources.evals} evals):
+Avg Time: ${Math.round(resources.wallTime / resources.evals)}ms (${Math.round(resources.cpuTime / resources.evals)}ms CPU)
+Peak Memory: ${(resources.peakMemory / (1024 * 1024)).toFixed(1)}MB
+HTTP: ${resources.httpRequests} requests, ${Math.round(resources.httpBytes / 1024)}KB
+Stock Calls: ${resources.stockCalls}`;
+    }
 
     if (this.jobQueue) {
       try {
@@ -212,6 +265,107 @@ Total: ${stats.total}`;
     await this.jobQueue.resume();
     return '▶ Queue resumed';
   }
+
+  /**
+   * !wipe <did> - Wipe a user's persisted interpreter state
+   */
+  async cmdWipe(did) {
+    if (!this.stateStore) {
+      return 'State store not initialized';
+    }
+
+    if (!did) {
+      return 'Usage: !wipe <did>';
+    }
+
+    // Say what was wiped: the global names and their size
+    const state = await this.stateStore.describe(did);
+    if (!state || !(await this.stateStore.delete(did))) {
+      return `No saved state for ${did}`;
+    }
+
+    const names = state.names.length > 10
+      ? `${state.names.slice(0, 10).join(', ')} and ${state.names.length - 10} more`
+      : state.names.join(', ');
+    return `✓ Wiped state for ${did}: ${names || 'no globals'} (${state.bytes} bytes)`;
+  }
+
+  /**
+   * !store <did> / !store purge <did> - Inspect or purge a user's store
+   */
+  async cmdStore(args) {
+    if (!this.userStore) {
+      return 'User store not initialized';
+    }
+
+    const purge = args[0] === 'purge';
+    const did = purge ? args[1] : args[0];
+    if (!did) {
+      return 'Usage: !store <did> or !store purge <did>';
+    }
+
+    if (purge) {
+      if (!(await this.userStore.purge(did))) {
+        return `No stored data for ${did}`;
+      }
+      return `✓ Purged stored data for ${did}`;
+    }
+
+    const usage = await this.userStore.inspect(did);
+    if (usage.keys === 0) {
+      return `No stored data for ${did}`;
+    }
+
+    const shown = usage.entries.slice(0, 8).map(entry =>
+      `${entry.key} (${entry.bytes}b${entry.expires ? `, expires ${new Date(entry.expires).toISOString()}` : ''})`
+    );
+    if (usage.keys > shown.length) {
+      shown.push(`... ${usage.keys - shown.length} more`);
+    }
+
+    return `💾 ${usage.keys}/${this.userStore.maxKeys} keys, ${usage.bytes}/${this.userStore.maxBytes} bytes\n${shown.join('\n')}`;
+  }
+
+  /**
+   * !tier <did> [tier|clear] - Show, assign or clear a user's tier
+   */
+  cmdTier(args) {
+    if (!this.tiers) {
+      return 'Tiers not initialized';
+    }
+
+    const [did, tier] = args;
+    if (!did) {
+      return 'Usage: !tier <did> [tier|clear]';
+    }
+
+    if (tier === 'clear') {
+      if (!this.tiers.unassign(did)) {
+        return `No tier assignment for ${did}`;
+      }
+      return `✓ Cleared tier for ${did} (now ${this.tiers.tierOf(did, this.isAdmin(did))})`;
+    }
+
+    if (tier) {
+      this.tiers.assign(did, tier);
+      return `✓ Assigned ${did} to ${tier}`;
+    }
+
+    return `${did}\n${this.tiers.describe(this.tiers.tierOf(did, this.isAdmin(did)))}`;
+  }
+
+  /**
+   * !tiers - List tiers, their limits and how many users are assigned
+   */
+  cmdTiers() {
+    if (!this.tiers) {
+      return 'Tiers not initialized';
+    }
+
+    return this.tiers.list()
+      .map(({ name, users }) => `${this.tiers.describe(name)} · ${users} assigned`)
+      .join('\n');
+  }
 }
 
 module.exports = AdminCommands;
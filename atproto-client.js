@@ -36,7 +36,14 @@ class AtProtoClient {
     }
   }
 
-  async postReply(text, parentPost) {
+  /**
+   * Reply to a post, attaching up to 4 images as an app.bsky.embed.images embed
+   *
+   * @param {string} text - Reply text (truncated to 300 graphemes)
+   * @param {object} parentPost - { uri, cid, root }
+   * @param {Array<object>} images - [{ data, mimeType, alt, width, height }]
+   */
+  async postReply(text, parentPost, images = []) {
     if (!this.agent) {
       throw new Error('Not logged in to AT Protocol');
     }
@@ -68,10 +75,13 @@ class AtProtoClient {
       }
     };
 
+    const embed = await this.uploadImages(images);
+
     try {
       const response = await this.agent.post({
         text: finalText,
         reply: replyRef,
+        ...(embed ? { embed } : {}),
         createdAt: new Date().toISOString()
       });
 
@@ -81,6 +91,33 @@ class AtProtoClient {
     }
   }
 
+  /**
+   * Upload images as blobs and build an images embed
+   * A failed upload is logged and the reply goes out without images
+   * @returns {Promise<object|null>} - app.bsky.embed.images record, or null
+   */
+  async uploadImages(images) {
+    if (!images || images.length === 0) {
+      return null;
+    }
+
+    try {
+      const uploaded = [];
+      for (const image of images.slice(0, 4)) {
+        const { data } = await this.agent.uploadBlob(image.data, { encoding: image.mimeType });
+        uploaded.push({
+          image: data.blob,
+          alt: image.alt || '',
+          ...(image.width && image.height ? { aspectRatio: { width: image.width, height: image.height } } : {})
+        });
+      }
+      return { $type: 'app.bsky.embed.images', images: uploaded };
+    } catch (error) {
+      console.error(`[AtProto] Failed to upload images: ${error.message}`);
+      return null;
+    }
+  }
+
   async getProfile() {
     if (!this.agent) {
       throw new Error('Not logged in to AT Protocol');
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Eval latency benchmark
+// Runs a mix of small evals through a SandboxPool and reports latency and throughput
+// Usage: node benchmark.js [evals] [concurrency] [poolSize] [--cold]
+// --cold loads a new WASM module and sets up a new sandbox for every eval,
+// with none kept warm, to measure what module sharing and warm sandboxes save
+
+const SandboxPool = require('./sandbox-pool');
+
+const SNIPPETS = [
+  '1 + 1',
+  '[1, 2, 3].map(n => n * 2)',
+  'let total = 0; for (let i = 0; i < 10000; i++) total += i; total',
+  'JSON.parse(JSON.stringify({ a: [1, 2, { b: "c" }] }))',
+  'await new Promise(resolve => setTimeout(resolve, 10)); "done"',
+  'console.log("hello"); new URL("https://example.com/a?b=c").searchParams.get("b")'
+];
+
+/**
+ * Value at a percentile of sorted numbers
+ */
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+async function main() {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const cold = process.argv.includes('--cold');
+  const evals = Number(args[0]) || 100;
+  const concurrency = Number(args[1]) || 10;
+  const poolSize = Number(args[2]) || 2;
+
+  const pool = new SandboxPool(cold
+    ? { size: poolSize, warmContexts: 0, sandboxOptions: { sharedModule: false } }
+    : { size: poolSize });
+  pool.init();
+
+  // First eval pays for thread startup and WASM compilation
+  let start = Date.now();
+  await pool.execute('1');
+  const firstEval = Date.now() - start;
+
+  const latencies = [];
+  const inSandbox = [];
+  let next = 0;
+  let failed = 0;
+
+  const runner = async () => {
+    while (next < evals) {
+      const code = SNIPPETS[next++ % SNIPPETS.length];
+      const evalStart = Date.now();
+      const result = await pool.execute(code, { channel: 'bench' });
+      latencies.push(Date.now() - evalStart);
+      if (result.resources) {
+        inSandbox.push(result.resources.wallTime);
+      }
+      if (!result.success) {
+        failed++;
+      }
+    }
+  };
+
+  start = Date.now();
+  await Promise.all(Array.from({ length: concurrency }, runner));
+  const elapsed = Date.now() - start;
+  await pool.close();
+
+  latencies.sort((a, b) => a - b);
+  const mean = values => Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+
+  console.log(`Evals: ${evals} (concurrency ${concurrency}, ${poolSize} workers, ${cold ? 'cold' : 'warm'}, ${failed} failed)`);
+  console.log(`First eval: ${firstEval}ms`);
+  console.log(`Latency: p50 ${percentile(latencies, 0.5)}ms, p95 ${percentile(latencies, 0.95)}ms, max ${latencies[latencies.length - 1]}ms`);
+  if (inSandbox.length > 0) {
+    console.log(`Time in Sandbox.execute: mean ${mean(inSandbox)}ms`);
+  }
+  console.log(`Throughput: ${(evals / (elapsed / 1000)).toFixed(1)} evals/s`);
+}
+
+main().catch((error) => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
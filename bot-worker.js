@@ -1,8 +1,10 @@
 // Bot worker - processes mentions and executes code
 // Integrates sandbox, command parser, and AT Protocol client
 
-const Sandbox = require('./sandbox');
+const SandboxPool = require('./sandbox-pool');
 const CommandParser = require('./command-parser');
+const UserTiers = require('./user-tiers');
+const GraphemeSplitter = require('grapheme-splitter');
 
 class BotWorker {
   constructor(atprotoClient, config = {}) {
@@ -12,32 +14,65 @@ class BotWorker {
       botDid: config.botDid
     });
     this.adminCommands = config.adminCommands || null;
+    this.scheduler = config.scheduler || null; // Scheduled and recurring evals
 
-    // Per-user rate limiting
+    // Named limit tiers; each eval runs with its author's tier limits
+    this.tiers = config.tiers || new UserTiers();
+    const base = this.tiers.getTier(this.tiers.defaultTier);
+
+    // Per-user rate limiting (cooldown between evals comes from the tier)
     this.userLimits = new Map();
-    this.userCooldown = config.userCooldown || 5000; // 5 seconds between evals per user
     this.globalQueueSize = 0;
     this.maxQueueSize = config.maxQueueSize || 100;
 
-    // Sandbox options
+    // Sandbox options (tier limits override these per eval)
     this.sandboxOptions = {
-      timeout: config.timeout || 5000,
+      timeout: base.timeout,
+      memoryLimit: base.memoryLimit,
+      stockRequestsPerEval: base.stockRequestsPerEval,
       httpLimits: {
-        requestsPerEval: config.httpRequestsPerEval || 5,
+        requestsPerEval: base.httpRequestsPerEval,
         requestInterval: config.httpRequestInterval || 60,
-        requestLimit: config.httpRequestLimit || 25,
+        requestLimit: base.httpRequestLimit,
         postLimit: config.httpPostLimit || 150000,
         transferLimit: config.httpTransferLimit || 150000,
         timeLimit: config.httpTimeLimit || 5000
-      }
+      },
+      ssrf: {
+        allowedDomains: config.httpAllowedDomains || [],
+        deniedDomains: config.httpDeniedDomains || [],
+        maxRedirects: config.httpMaxRedirects !== undefined ? config.httpMaxRedirects : 5
+      },
+      httpDomains: {
+        rules: config.httpDomains || {}, // Per-domain limits (see domain-policy.js)
+        budget: config.httpDomainBudget // All-user budget for other domains
+      },
+      marketProviders: config.marketProviders || ['yahoo'], // Stock data providers, in failover order
+      charts: config.charts || {}, // Chart image size and limits (see chart-module.js)
+      plugins: config.plugins || [], // Extra sandbox plugins (see plugin-registry.js)
+      pluginDir: __dirname // Relative plugin paths resolve next to config.json
     };
 
+    // Evaluations run in killable worker threads
+    this.sandboxPool = config.sandboxPool || new SandboxPool({
+      size: config.poolSize || 2,
+      maxEvalsPerWorker: config.poolMaxEvals || 100,
+      warmContexts: config.warmContexts,
+      sandboxOptions: this.sandboxOptions,
+      stateStore: config.stateStore || null,
+      namespace: config.namespace || null,
+      userStore: config.userStore || null,
+      httpRedis: config.httpRedis || null
+    });
+
     // Stats
     this.stats = {
       processed: 0,
       successful: 0,
       failed: 0,
       rateLimited: 0,
+      scheduled: 0,
+      resources: this.emptyResources(),
       started: Date.now()
     };
   }
@@ -56,7 +91,7 @@ class BotWorker {
     }
 
     // Check per-user rate limiting
-    if (!this.checkUserRateLimit(author)) {
+    if (!this.checkUserRateLimit(author, this.resolveTier(author))) {
       console.log(`[Worker] Rate limited user ${author}`);
       this.stats.rateLimited++;
 
@@ -107,6 +142,22 @@ class BotWorker {
       return;
     }
 
+    const isAdmin = this.adminCommands ? this.adminCommands.isAdmin(author) : false;
+
+    // Schedule commands (!in, !every, !schedules, !unschedule)
+    const scheduleCommand = this.scheduler ? this.parser.parseSchedule(code) : null;
+    if (scheduleCommand) {
+      const response = await this.scheduler.handle(scheduleCommand, {
+        author,
+        isAdmin,
+        uri,
+        cid,
+        root: post.reply?.root
+      });
+      await this.client.postReply(response, { uri, cid, root: post.reply?.root });
+      return;
+    }
+
     // Check for admin commands first
     if (this.adminCommands) {
       const adminResponse = await this.adminCommands.executeCommand(
@@ -126,39 +177,110 @@ class BotWorker {
       }
     }
 
-    console.log(`[Worker] Executing code from ${author}: ${code.substring(0, 50)}...`);
+    // Evaluate and post reply, with any chart images
+    const { text, images } = await this.evaluate(code, author);
+    await this.client.postReply(text, {
+      uri,
+      cid,
+      root: post.reply?.root
+    }, images);
 
-    // Create sandbox and execute
-    const sandbox = new Sandbox(this.sandboxOptions);
+    console.log(`[Worker] Posted reply to ${author}`);
+  }
 
-    try {
-      const result = await sandbox.execute(code, {
-        channel: author // Per-user HTTP rate limiting
-      });
+  /**
+   * Evaluate code for a user
+   * @returns {Promise<object>} - { text, images }: reply text (at most 300
+   *   graphemes) and PNG images from chartImage()
+   */
+  async evaluate(code, author) {
+    const tier = this.resolveTier(author);
+    console.log(`[Worker] Executing code from ${author} (${tier.name} tier): ${code.substring(0, 50)}...`);
 
-      // Format result
-      let responseText = this.parser.formatResult(result);
+    // Execute in a pooled sandbox
+    const result = await this.sandboxPool.execute(code, {
+      channel: author, // Per-user HTTP rate limiting
+      stateKey: author, // Per-user persisted globals
+      author: author, // Owner of shared namespace changes
+      isAdmin: this.adminCommands ? this.adminCommands.isAdmin(author) : false,
+      limits: tier // Timeout, memory, HTTP and stock limits of the author's tier
+    });
 
-      // Truncate to 300 graphemes
-      responseText = this.parser.truncateText(responseText, 300);
+    if (result.resources) {
+      console.log(`[Worker] Resources for ${author}: ${this.parser.formatResources(result.resources)}`);
+      this.recordResources(result.resources);
+    }
 
-      // Post reply
-      await this.client.postReply(responseText, {
-        uri,
-        cid,
-        root: post.reply?.root
-      });
+    // Format result and truncate to 300 graphemes, leaving room for the
+    // resource footer when the code asked for one
+    const responseText = this.parser.formatResult(result);
+    const images = result.images || [];
+    const footer = this.parser.wantsResources(code) ? this.parser.formatResources(result.resources) : '';
+    if (!footer) {
+      return { text: this.parser.truncateText(responseText, 300), images };
+    }
+    const footerLength = new GraphemeSplitter().countGraphemes(footer);
+    return { text: `${this.parser.truncateText(responseText, 300 - footerLength - 1)}\n${footer}`, images };
+  }
 
-      console.log(`[Worker] Posted reply to ${author}`);
-    } finally {
-      sandbox.dispose();
+  /**
+   * Totals of eval resource usage for !stats
+   */
+  emptyResources() {
+    return {
+      evals: 0,
+      wallTime: 0,
+      cpuTime: 0,
+      peakMemory: 0, // Highest of any eval
+      httpRequests: 0,
+      httpBytes: 0,
+      stockCalls: 0
+    };
+  }
+
+  /**
+   * Add one eval's resource usage to the totals
+   */
+  recordResources(resources) {
+    const totals = this.stats.resources;
+    totals.evals++;
+    totals.wallTime += resources.wallTime || 0;
+    totals.cpuTime += resources.cpuTime || 0;
+    totals.peakMemory = Math.max(totals.peakMemory, resources.peakMemory || 0);
+    totals.httpRequests += resources.httpRequests || 0;
+    totals.httpBytes += resources.httpBytes || 0;
+    totals.stockCalls += resources.stockCalls || 0;
+  }
+
+  /**
+   * Run a scheduled eval and reply to the post that scheduled it
+   */
+  async runScheduled(schedule) {
+    const { id, code, author, target } = schedule;
+
+    try {
+      const { text, images } = await this.evaluate(code, author);
+      await this.client.postReply(this.parser.truncateText(`⏰ #${id}\n${text}`, 300), target, images);
+      this.stats.scheduled++;
+      console.log(`[Worker] Posted scheduled reply #${id} to ${author}`);
+    } catch (error) {
+      console.error(`[Worker] Error running schedule #${id}:`, error.message);
+      this.stats.failed++;
     }
   }
 
   /**
-   * Check if user is within rate limit
+   * Resolve a user's tier and its limits
+   */
+  resolveTier(userDid) {
+    const isAdmin = this.adminCommands ? this.adminCommands.isAdmin(userDid) : false;
+    return this.tiers.resolve(userDid, isAdmin);
+  }
+
+  /**
+   * Check if user is within rate limit (their tier's cooldown)
    */
-  checkUserRateLimit(userDid) {
+  checkUserRateLimit(userDid, tier) {
     const lastExec = this.userLimits.get(userDid);
 
     if (!lastExec) {
@@ -166,7 +288,7 @@ class BotWorker {
     }
 
     const elapsed = Date.now() - lastExec;
-    return elapsed >= this.userCooldown;
+    return elapsed >= tier.cooldown;
   }
 
   /**
@@ -193,7 +315,8 @@ class BotWorker {
       ...this.stats,
       uptime: uptime,
       queueSize: this.globalQueueSize,
-      trackedUsers: this.userLimits.size
+      trackedUsers: this.userLimits.size,
+      pool: this.sandboxPool.getStats()
     };
   }
 
@@ -206,9 +329,18 @@ class BotWorker {
       successful: 0,
       failed: 0,
       rateLimited: 0,
+      scheduled: 0,
+      resources: this.emptyResources(),
       started: Date.now()
     };
   }
+
+  /**
+   * Shut down the sandbox pool
+   */
+  async close() {
+    await this.sandboxPool.close();
+  }
 }
 
 module.exports = BotWorker;
@@ -7,6 +7,11 @@ const FirehoseSubscriber = require('./firehose');
 const BotWorker = require('./bot-worker');
 const JobQueue = require('./job-queue');
 const AdminCommands = require('./admin-commands');
+const StateStore = require('./state-store');
+const SharedNamespace = require('./shared-namespace');
+const UserStore = require('./user-store');
+const EvalScheduler = require('./eval-scheduler');
+const UserTiers = require('./user-tiers');
 const fs = require('fs');
 const path = require('path');
 
@@ -74,6 +79,20 @@ async function main() {
       adminDids: config.adminDids || []
     });
 
+    // Collaboratively defined functions, versioned and persisted to disk
+    const namespace = new SharedNamespace({
+      file: config.namespaceFile || path.join(__dirname, 'namespace.json')
+    });
+
+    // Named limit tiers from config, with admin-made assignments persisted to disk
+    const tiers = new UserTiers({
+      tiers: config.tiers,
+      assignments: config.tierAssignments,
+      defaultTier: config.defaultTier,
+      file: config.tiersFile || path.join(__dirname, 'tiers.json')
+    });
+    adminCommands.setTiers(tiers);
+
     if (adminCommands.adminDids.size > 0) {
       console.log(`Admin commands enabled for ${adminCommands.adminDids.size} user(s)\n`);
     }
@@ -84,6 +103,9 @@ async function main() {
 
     let queue = null;
     let worker = null;
+    let userStore = null;
+    let stateStore = null;
+    let scheduler = null;
 
     if (useQueue) {
       // Queue mode - use BullMQ for production scale
@@ -94,51 +116,114 @@ async function main() {
         concurrency: 10
       });
 
+      // Per-user store and interpreter state live in the queue's Redis
+      userStore = new UserStore({
+        redis: queue.redisConfig,
+        maxBytes: config.storeMaxBytes,
+        maxKeys: config.storeMaxKeys
+      });
+      stateStore = new StateStore({ redis: queue.redisConfig, maxAge: config.stateMaxAge });
+      adminCommands.setStateStore(stateStore);
+
+      // Scheduled evals are delayed and repeatable BullMQ jobs
+      scheduler = new EvalScheduler({
+        queue: queue,
+        maxPerUser: config.scheduleMaxPerUser,
+        minInterval: config.scheduleMinInterval
+      });
+
       // Create worker for processing jobs
       worker = new BotWorker(client, {
         botHandle: profile.handle,
         botDid: client.getDid(),
         adminCommands: adminCommands,
-        userCooldown: 5000,
+        stateStore: stateStore,
+        namespace: namespace,
+        userStore: userStore,
+        scheduler: scheduler,
+        httpRedis: queue.redisConfig, // HTTP rate windows and response cache shared by all workers
+        tiers: tiers,
         maxQueueSize: 1000,  // Higher limit in queue mode
-        timeout: 5000,
-        httpRequestsPerEval: 5,
+        poolSize: 4,
         httpRequestInterval: 60,
-        httpRequestLimit: 25,
         httpPostLimit: 150000,
         httpTransferLimit: 150000,
-        httpTimeLimit: 5000
+        httpTimeLimit: 5000,
+        httpAllowedDomains: config.httpAllowedDomains,
+        httpDeniedDomains: config.httpDeniedDomains,
+        httpMaxRedirects: config.httpMaxRedirects,
+        httpDomains: config.httpDomains,
+        httpDomainBudget: config.httpDomainBudget,
+        marketProviders: config.marketProviders,
+        charts: config.charts,
+        plugins: config.plugins
       });
 
       // Set queue reference for admin commands
       adminCommands.setWorker(worker);
       adminCommands.setQueue(queue);
 
+      // Scheduled runs reply through the worker
+      scheduler.init((schedule) => worker.runScheduled(schedule));
+
       // Initialize queue with worker processor
-      await queue.init((mention) => worker.processMention(mention));
+      await queue.init((data, name) => (
+        name === 'scheduled' ? scheduler.run(data.id) : worker.processMention(data)
+      ));
 
       console.log('✓ Job queue initialized');
     } else {
       // Direct mode - process mentions immediately
+      userStore = new UserStore({
+        file: config.storeFile || path.join(__dirname, 'store.json'),
+        maxBytes: config.storeMaxBytes,
+        maxKeys: config.storeMaxKeys,
+        maxUsers: config.storeMaxUsers
+      });
+      stateStore = new StateStore({
+        file: config.stateFile || path.join(__dirname, 'state.json'),
+        maxAge: config.stateMaxAge
+      });
+      adminCommands.setStateStore(stateStore);
+
+      // Scheduled evals run on in-process timers (lost on restart)
+      scheduler = new EvalScheduler({
+        maxPerUser: config.scheduleMaxPerUser,
+        minInterval: config.scheduleMinInterval
+      });
+
       worker = new BotWorker(client, {
         botHandle: profile.handle,
         botDid: client.getDid(),
         adminCommands: adminCommands,
-        userCooldown: 5000,
+        stateStore: stateStore,
+        namespace: namespace,
+        userStore: userStore,
+        scheduler: scheduler,
+        tiers: tiers,
         maxQueueSize: 100,   // Lower limit in direct mode
-        timeout: 5000,
-        httpRequestsPerEval: 5,
+        poolSize: 2,
         httpRequestInterval: 60,
-        httpRequestLimit: 25,
         httpPostLimit: 150000,
         httpTransferLimit: 150000,
-        httpTimeLimit: 5000
+        httpTimeLimit: 5000,
+        httpAllowedDomains: config.httpAllowedDomains,
+        httpDeniedDomains: config.httpDeniedDomains,
+        httpMaxRedirects: config.httpMaxRedirects,
+        httpDomains: config.httpDomains,
+        httpDomainBudget: config.httpDomainBudget,
+        marketProviders: config.marketProviders,
+        charts: config.charts,
+        plugins: config.plugins
       });
 
       // Set worker reference for admin commands
       adminCommands.setWorker(worker);
+      scheduler.init((schedule) => worker.runScheduled(schedule));
     }
 
+    adminCommands.setUserStore(userStore);
+
     // Create firehose subscriber
     const firehose = new FirehoseSubscriber({
       botDid: client.getDid(),
@@ -199,12 +284,18 @@ async function main() {
       console.log('\n\nShutting down gracefully...');
 
       firehose.stop();
+      scheduler.close();
 
       if (useQueue && queue) {
         console.log('Closing job queue...');
         await queue.close();
       }
 
+      console.log('Closing sandbox pool...');
+      await worker.close();
+      await userStore.close();
+      await stateStore.close();
+
       const stats = worker.getStats();
       console.log('\nFinal stats:', stats);
 
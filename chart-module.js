@@ -0,0 +1,55 @@
+// Chart image module
+// Provides chartImage(): renders a PNG chart (see chart-renderer.js) that is
+// attached to the eval result, and so to the reply, as an image
+
+const ChartRenderer = require('./chart-renderer');
+
+class ChartModule {
+  constructor(options = {}) {
+    this.renderer = options.renderer || new ChartRenderer(options);
+    this.imagesPerEval = options.imagesPerEval || 4; // Bluesky allows 4 images per post
+    this.images = []; // [{ data, mimeType, alt, width, height }] rendered this eval
+  }
+
+  /**
+   * Start a new eval session (drop the previous eval's images)
+   */
+  startEval() {
+    this.images = [];
+  }
+
+  /**
+   * Render a chart and keep it for the eval result
+   * @returns {string} - The chart's alt text
+   */
+  image(data, options) {
+    const { png, alt, width, height } = this.renderer.render(data, options);
+    this.images.push({ data: png, mimeType: 'image/png', alt, width, height });
+    return alt;
+  }
+
+  /**
+   * Sandbox plugin declaration (see plugin-registry.js)
+   */
+  getPlugin() {
+    return {
+      name: 'charts',
+      functions: [
+        {
+          name: 'chartImage',
+          args: [
+            { name: 'data', type: 'any' },
+            { name: 'options', type: 'object', optional: true, default: {} }
+          ],
+          quota: this.imagesPerEval,
+          pure: true, // Rendering needs no outside data, so deterministic evals run it too
+          handler: ({ data, options }) => this.image(data, options)
+        }
+      ],
+      startEval: () => this.startEval(),
+      usage: () => ({ chartImages: this.images.length })
+    };
+  }
+}
+
+module.exports = ChartModule;
@@ -0,0 +1,406 @@
+// Chart images for sandbox evals
+// Renders line, bar and candlestick charts to PNG (pure JavaScript, see
+// png-image.js) and describes each chart in alt text
+
+const ChartValues = require('./chart-values');
+const PngImage = require('./png-image');
+
+const TYPES = ['line', 'bar', 'candles'];
+
+const COLORS = {
+  background: [255, 255, 255],
+  grid: [229, 231, 235],
+  axis: [156, 163, 175],
+  text: [55, 65, 81],
+  up: [22, 163, 74],
+  down: [220, 38, 38]
+};
+
+// Line series colors, in order
+const PALETTE = [[37, 99, 235], [234, 88, 12], [147, 51, 234], [13, 148, 136], [219, 39, 119], [101, 163, 13]];
+
+const OHLC = ['open', 'high', 'low', 'close'];
+
+class ChartRenderer {
+  constructor(options = {}) {
+    this.width = options.width || 800; // Default image size in pixels
+    this.height = options.height || 450;
+    this.maxWidth = options.maxWidth || 1600;
+    this.maxHeight = options.maxHeight || 1000;
+    this.maxPoints = options.maxPoints || 5000; // All series together
+    this.maxSeries = options.maxSeries || PALETTE.length;
+  }
+
+  /**
+   * Percent change as " (+1.23%)", or '' from zero
+   */
+  static change(from, to) {
+    if (!from) return '';
+    const percent = ((to - from) / Math.abs(from)) * 100;
+    return ` (${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%)`;
+  }
+
+  /**
+   * Render a chart
+   *
+   * @param {Array|object} data - Numbers; objects with close/value (or options.key);
+   *   { open, high, low, close } bars; or { name: array } for several line series
+   * @param {object} options - { type, title, width, height, key, labels, timezone }
+   * @returns {object} - { png: Buffer, alt, width, height }
+   * @throws {TypeError|RangeError} - If the data or options are invalid
+   */
+  render(data, options = {}) {
+    const chart = this.normalize(data, options);
+    const alt = this.describe(chart);
+
+    const image = new PngImage(chart.width, chart.height, COLORS.background);
+    const layout = this.layout(chart);
+    if (chart.type === 'candles') {
+      this.mergeBars(chart, Math.max(1, Math.floor(layout.plot.w / 3)));
+    }
+    this.draw(image, chart, layout);
+
+    return { png: image.encode(), alt, width: chart.width, height: chart.height };
+  }
+
+  /**
+   * Check the data and options and bring them to one shape:
+   * { type, width, height, title, series: [{ name, values }], bars, labels, count }
+   */
+  normalize(data, options) {
+    if (options.type !== undefined && !TYPES.includes(options.type)) {
+      throw new RangeError(`chartImage(): type must be one of ${TYPES.join(', ')}`);
+    }
+    const width = this.size('width', options.width, this.width, this.maxWidth);
+    const height = this.size('height', options.height, this.height, this.maxHeight);
+    const title = options.title === undefined || options.title === null ? '' : String(options.title).slice(0, 60);
+    const isBar = item => item !== null && typeof item === 'object' && OHLC.every(k => Number.isFinite(item[k]));
+
+    let type;
+    let series = [];
+    let bars = null;
+    let items = null; // Array data, for labels
+
+    if (Array.isArray(data)) {
+      items = data;
+      type = options.type || (data.some(isBar) ? 'candles' : 'line');
+      if (type === 'candles') {
+        bars = data.map(item => (isBar(item) ? { open: item.open, high: item.high, low: item.low, close: item.close } : null));
+        if (!bars.some(Boolean)) {
+          throw new TypeError('chartImage(): candlestick charts need { open, high, low, close } items');
+        }
+      } else {
+        series = [{ name: options.key || '', values: ChartValues.toValues(data, options.key) }];
+      }
+    } else if (data !== null && typeof data === 'object') {
+      type = options.type || 'line';
+      if (type !== 'line') {
+        throw new TypeError('chartImage(): only line charts take several named series');
+      }
+      series = Object.entries(data).map(([name, values]) => {
+        if (!Array.isArray(values)) {
+          throw new TypeError(`chartImage(): series ${name} must be an array`);
+        }
+        return { name: name.slice(0, 20), values: ChartValues.toValues(values, options.key) };
+      });
+      if (series.length > this.maxSeries) {
+        throw new RangeError(`chartImage(): too many series (max ${this.maxSeries})`);
+      }
+    } else {
+      throw new TypeError('chartImage(): data must be an array or an object of named arrays');
+    }
+
+    const count = bars ? bars.length : Math.max(0, ...series.map(s => s.values.length));
+    const points = bars ? bars.length : series.reduce((sum, s) => sum + s.values.length, 0);
+    if (points > this.maxPoints) {
+      throw new RangeError(`chartImage(): too many points (max ${this.maxPoints})`);
+    }
+    if (!bars && !series.some(s => s.values.some(v => v !== null))) {
+      throw new TypeError('chartImage(): data has no numbers to plot');
+    }
+
+    let rawLabels = [];
+    if (Array.isArray(options.labels)) {
+      rawLabels = options.labels;
+    } else if (items) {
+      rawLabels = items.map(item => (item !== null && typeof item === 'object' ? item.date ?? item.label ?? null : null));
+    }
+    const labels = this.formatLabels(rawLabels.slice(0, count), options.timezone);
+
+    return { type, width, height, title, series, bars, labels, count };
+  }
+
+  /**
+   * Image width or height option, checked against its limit
+   */
+  size(name, value, fallback, max) {
+    if (value === undefined || value === null) {
+      return fallback;
+    }
+    if (!Number.isInteger(value) || value < 100 || value > max) {
+      throw new RangeError(`chartImage(): ${name} must be an integer from 100 to ${max}`);
+    }
+    return value;
+  }
+
+  /**
+   * X-axis labels: dates become times, days or months depending on the span,
+   * anything else is shown as text
+   */
+  formatLabels(raw, timezone) {
+    const present = raw.filter(label => label !== null && label !== undefined);
+    const isDate = label => typeof label === 'string' && /^\d{4}-\d{2}-\d{2}/.test(label) && !Number.isNaN(Date.parse(label));
+
+    if (present.length === 0 || !present.every(isDate)) {
+      return raw.map(label => (label === null || label === undefined ? null : String(label).slice(0, 12)));
+    }
+
+    const times = present.map(label => Date.parse(label));
+    const span = Math.max(...times) - Math.min(...times);
+    const style = span < 2 * 86400000 ? { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+      : span < 300 * 86400000 ? { month: 'short', day: 'numeric' }
+        : { month: 'short', year: 'numeric' };
+
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', { ...style, timeZone: timezone || 'UTC' });
+    } catch (error) {
+      formatter = new Intl.DateTimeFormat('en-US', { ...style, timeZone: 'UTC' }); // Unknown time zone
+    }
+    return raw.map(label => (isDate(label) ? formatter.format(new Date(label)) : null));
+  }
+
+  /**
+   * Value range, y-axis ticks and plot area
+   */
+  layout(chart) {
+    const values = chart.bars
+      ? chart.bars.filter(Boolean).flatMap(bar => [bar.low, bar.high])
+      : chart.series.flatMap(s => s.values.filter(v => v !== null));
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (chart.type === 'bar') {
+      min = Math.min(0, min);
+      max = Math.max(0, max);
+    }
+    if (min === max) {
+      const pad = Math.abs(min) * 0.01 || 1;
+      min -= pad;
+      max += pad;
+    }
+
+    // 1, 2 or 5 times a power of ten, giving about four gaps
+    const rough = (max - min) / 4;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    const low = Math.floor(min / step) * step;
+    const high = Math.ceil(max / step) * step;
+    const decimals = Math.max(0, Math.min(6, -Math.floor(Math.log10(step))));
+    const ticks = [];
+    for (let value = low; value <= high + step / 2; value += step) {
+      ticks.push({ value, label: value.toFixed(decimals) });
+    }
+
+    const scale = chart.width >= 600 ? 2 : 1; // Font scale
+    const labelWidth = Math.max(...ticks.map(t => PngImage.textWidth(t.label, scale)));
+    const top = 18 + 7 * scale;
+    const bottom = 18 + 7 * scale;
+    const plot = { x: 10, y: top, w: chart.width - 30 - labelWidth, h: chart.height - top - bottom };
+
+    return { low, high, ticks, scale, plot };
+  }
+
+  /**
+   * Merge neighbouring candles so each keeps a few pixels
+   */
+  mergeBars(chart, max) {
+    if (chart.bars.length <= max) {
+      return;
+    }
+    const bars = [];
+    const labels = [];
+    for (let i = 0; i < max; i++) {
+      const start = Math.floor((i * chart.bars.length) / max);
+      const group = chart.bars.slice(start, Math.floor(((i + 1) * chart.bars.length) / max)).filter(Boolean);
+      bars.push(group.length ? {
+        open: group[0].open,
+        close: group[group.length - 1].close,
+        high: Math.max(...group.map(b => b.high)),
+        low: Math.min(...group.map(b => b.low))
+      } : null);
+      labels.push(chart.labels[start] ?? null);
+    }
+    chart.bars = bars;
+    chart.labels = labels;
+    chart.count = bars.length;
+  }
+
+  /**
+   * Draw grid, axes, data, labels and the title line
+   */
+  draw(image, chart, layout) {
+    const { low, high, ticks, scale, plot } = layout;
+    const y = value => plot.y + plot.h - ((value - low) / (high - low)) * plot.h;
+    const slotted = chart.type !== 'line' || chart.count === 1;
+    const x = index => (slotted
+      ? plot.x + ((index + 0.5) * plot.w) / chart.count
+      : plot.x + (index * plot.w) / (chart.count - 1));
+
+    // Horizontal grid with value labels on the right
+    for (const tick of ticks) {
+      const ty = Math.round(y(tick.value));
+      image.fillRect(plot.x, ty, plot.w, 1, COLORS.grid);
+      image.text(plot.x + plot.w + 8, ty - Math.floor((7 * scale) / 2), tick.label, COLORS.text, scale);
+    }
+    image.fillRect(plot.x, plot.y + plot.h, plot.w, 1, COLORS.axis);
+
+    if (chart.type === 'candles') {
+      const body = Math.max(1, Math.floor((plot.w / chart.count) * 0.6));
+      chart.bars.forEach((bar, index) => {
+        if (!bar) return;
+        const color = bar.close >= bar.open ? COLORS.up : COLORS.down;
+        const cx = Math.round(x(index));
+        image.fillRect(cx, y(bar.high), 1, Math.max(1, y(bar.low) - y(bar.high)), color);
+        const top = y(Math.max(bar.open, bar.close));
+        image.fillRect(cx - Math.floor(body / 2), top, body, Math.max(1, y(Math.min(bar.open, bar.close)) - top), color);
+      });
+    } else if (chart.type === 'bar') {
+      const width = Math.max(1, Math.floor((plot.w / chart.count) * 0.7));
+      const zero = y(0);
+      chart.series[0].values.forEach((value, index) => {
+        if (value === null) return;
+        const top = Math.min(y(value), zero);
+        image.fillRect(Math.round(x(index)) - Math.floor(width / 2), top, width,
+          Math.max(1, Math.abs(y(value) - zero)), value >= 0 ? PALETTE[0] : COLORS.down);
+      });
+    } else {
+      chart.series.forEach((series, seriesIndex) => {
+        const color = PALETTE[seriesIndex % PALETTE.length];
+        let previous = null;
+        series.values.forEach((value, index) => {
+          if (value === null) {
+            previous = null;
+            return;
+          }
+          const point = [x(index), y(value)];
+          if (previous) {
+            image.line(previous[0], previous[1], point[0], point[1], color, 2);
+          } else {
+            image.fillRect(point[0] - 1, point[1] - 1, 2, 2, color);
+          }
+          previous = point;
+        });
+      });
+    }
+
+    this.drawLabels(image, chart, layout, x);
+    this.drawTitle(image, chart, layout);
+  }
+
+  /**
+   * Up to five x-axis labels, skipping any that would overlap
+   */
+  drawLabels(image, chart, layout, x) {
+    const { scale, plot } = layout;
+    const slots = Math.min(chart.count, 5);
+    let right = -Infinity;
+    for (let j = 0; j < slots; j++) {
+      const index = slots === 1 ? 0 : Math.round((j * (chart.count - 1)) / (slots - 1));
+      const label = chart.labels[index];
+      if (label === null || label === undefined) continue;
+      const width = PngImage.textWidth(label, scale);
+      const left = Math.min(Math.max(0, Math.round(x(index) - width / 2)), chart.width - width);
+      if (left <= right + 6 * scale) continue;
+      image.text(left, plot.y + plot.h + 9, label, COLORS.text, scale);
+      right = left + width;
+    }
+  }
+
+  /**
+   * Title on the left; latest value and change, or a legend, on the right
+   */
+  drawTitle(image, chart, layout) {
+    const { scale } = layout;
+    image.text(10, 9, chart.title, COLORS.text, scale);
+
+    if (chart.series.length > 1) {
+      let right = chart.width - 10;
+      for (let i = chart.series.length - 1; i >= 0; i--) {
+        const name = chart.series[i].name;
+        right -= PngImage.textWidth(name, scale);
+        image.text(right, 9, name, COLORS.text, scale);
+        right -= 7 * scale + 4;
+        image.fillRect(right, 9, 7 * scale, 7 * scale, PALETTE[i % PALETTE.length]);
+        right -= 6 * scale * 2;
+      }
+      return;
+    }
+
+    const summary = this.summary(chart);
+    if (summary && chart.type !== 'bar') {
+      const text = `${ChartValues.format(summary.last)}${ChartRenderer.change(summary.first, summary.last)}`;
+      const color = summary.last >= summary.first ? COLORS.up : COLORS.down;
+      image.text(chart.width - 10 - PngImage.textWidth(text, scale), 9, text, color, scale);
+    }
+  }
+
+  /**
+   * First, last, low and high of a single-series chart
+   */
+  summary(chart, series = chart.series[0]) {
+    if (chart.bars) {
+      const bars = chart.bars.filter(Boolean);
+      return {
+        first: bars[0].open,
+        last: bars[bars.length - 1].close,
+        low: Math.min(...bars.map(b => b.low)),
+        high: Math.max(...bars.map(b => b.high))
+      };
+    }
+    const values = series.values.filter(v => v !== null);
+    if (values.length === 0) {
+      return null;
+    }
+    return { first: values[0], last: values[values.length - 1], low: Math.min(...values), high: Math.max(...values) };
+  }
+
+  /**
+   * Alt text: what the chart shows and its key numbers
+   */
+  describe(chart) {
+    const format = ChartValues.format;
+    const labels = chart.labels.filter(label => label !== null);
+    const span = labels.length > 1 ? ` from ${labels[0]} to ${labels[labels.length - 1]}` : '';
+    const prefix = chart.title ? `${chart.title}. ` : '';
+    const range = s => `low ${format(s.low)}, high ${format(s.high)}`;
+    let text;
+
+    if (chart.type === 'candles') {
+      const s = this.summary(chart);
+      text = `${prefix}Candlestick chart of ${chart.count} bars${span}: opened at ${format(s.first)}, ` +
+        `closed at ${format(s.last)}${ChartRenderer.change(s.first, s.last)}, ${range(s)}.`;
+    } else if (chart.type === 'bar') {
+      const s = this.summary(chart);
+      const values = chart.series[0].values;
+      text = `${prefix}Bar chart of ${chart.count} bars${span}: ${range(s)}.`;
+      if (values.length <= 12) {
+        const items = values.map((v, i) => `${chart.labels[i] ? `${chart.labels[i]} ` : ''}${v === null ? 'none' : format(v)}`);
+        text += ` Values: ${items.join(', ')}.`;
+      }
+    } else if (chart.series.length === 1) {
+      const s = this.summary(chart);
+      text = `${prefix}Line chart of ${chart.count} points${span}: started at ${format(s.first)}, ` +
+        `ended at ${format(s.last)}${ChartRenderer.change(s.first, s.last)}, ${range(s)}.`;
+    } else {
+      const parts = chart.series.map((series) => {
+        const s = this.summary(chart, series);
+        return s ? `${series.name}: ${format(s.first)} to ${format(s.last)}${ChartRenderer.change(s.first, s.last)}, ${range(s)}` : `${series.name}: no data`;
+      });
+      text = `${prefix}Line chart of ${chart.series.length} series over ${chart.count} points${span}. ${parts.join('. ')}.`;
+    }
+
+    return text.slice(0, 1000);
+  }
+}
+
+module.exports = ChartRenderer;
@@ -0,0 +1,29 @@
+// Number helpers shared by the host-side chart code (chart-renderer.js and
+// indicators.js). text-charts.js runs inside the sandbox and keeps its own
+
+class ChartValues {
+  /**
+   * Numbers from an array of numbers or objects (close, then value, or key);
+   * anything else becomes null (a gap)
+   */
+  static toValues(items, key) {
+    return items.map((item) => {
+      const value = item !== null && typeof item === 'object'
+        ? item[key || ('close' in item ? 'close' : 'value')]
+        : item;
+      return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    });
+  }
+
+  /**
+   * Short number: 1234.5678 -> 1234.57, 0.012345 -> 0.0123, 45600000 -> 45.6M
+   */
+  static format(n) {
+    const abs = Math.abs(n);
+    if (abs >= 1e9) return `${+(n / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+    return String(+n.toFixed(abs >= 100 ? 2 : abs >= 1 ? 3 : 4));
+  }
+}
+
+module.exports = ChartValues;
@@ -72,6 +72,118 @@ class CommandParser {
     };
   }
 
+  /**
+   * Parse a schedule command
+   *   !in 2h <code>            - Run once after a delay
+   *   !every 6h <code>         - Run repeatedly at an interval
+   *   !every day 09:00 <code>  - Run daily at a UTC time
+   *   !schedules               - List your schedules
+   *   !unschedule <id>         - Cancel a schedule
+   *
+   * @param {string} code - Extracted post text
+   * @returns {object|null} - { action, spec, code, id } or { error }, null if not a schedule command
+   */
+  parseSchedule(code) {
+    let match;
+
+    if (/^!schedules$/i.test(code)) {
+      return { action: 'list' };
+    }
+
+    if ((match = code.match(/^!unschedule(?:\s+#?(\S+))?$/i))) {
+      return match[1] ? { action: 'cancel', id: match[1] } : { error: 'Usage: !unschedule <id>' };
+    }
+
+    if ((match = code.match(/^!every\s+day\s+(?:at\s+)?(\d{1,2}):(\d{2})\s+([\s\S]+)$/i))) {
+      const hours = Number(match[1]);
+      const minutes = Number(match[2]);
+      if (hours > 23 || minutes > 59) {
+        return { error: `Invalid time: ${match[1]}:${match[2]}` };
+      }
+      const at = `${String(hours).padStart(2, '0')}:${match[2]}`;
+      return { action: 'schedule', spec: { at }, code: match[3].trim() };
+    }
+
+    if ((match = code.match(/^!(in|every)(?:\s+(\S+)(?:\s+([\s\S]+))?)?$/i))) {
+      const kind = match[1].toLowerCase();
+      if (!match[3]) {
+        return { error: kind === 'in' ? 'Usage: !in <2h30m> <code>' : 'Usage: !every <6h> <code> or !every day <09:00> <code>' };
+      }
+      const duration = this.parseDuration(match[2]);
+      if (!duration) {
+        return { error: `Invalid duration: ${match[2]} (use e.g. 30m, 2h or 1d12h)` };
+      }
+      const spec = kind === 'in' ? { delay: duration } : { every: duration };
+      return { action: 'schedule', spec, code: match[3].trim() };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a duration like 1d12h, 2h30m or 45s
+   * @returns {number|null} - Milliseconds, or null if invalid
+   */
+  parseDuration(text) {
+    const match = text.toLowerCase().match(/^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match) {
+      return null;
+    }
+
+    const [days, hours, minutes, seconds] = match.slice(1).map(n => Number(n || 0));
+    const ms = ((days * 24 + hours) * 60 + minutes) * 60000 + seconds * 1000;
+    return ms > 0 ? ms : null;
+  }
+
+  /**
+   * Check whether the code asks for a resource footer with a leading
+   * "// @resources" comment line
+   */
+  wantsResources(code) {
+    return /^(?:\s*\/\/[^\n]*\n)*?\s*\/\/\s*@resources\b/.test(code);
+  }
+
+  /**
+   * Format resource usage as one short line, e.g.
+   * "⏱ 45ms (cpu 12ms) · 2.1MB · 1 req 3.4KB · 2 stock"
+   *
+   * @param {object} resources - Sandbox result resources
+   * @returns {string} - Footer text (empty if there are no resources)
+   */
+  formatResources(resources) {
+    if (!resources) {
+      return '';
+    }
+
+    const parts = [`⏱ ${resources.wallTime}ms (cpu ${resources.cpuTime}ms)`];
+    if (resources.peakMemory) {
+      parts.push(this.formatBytes(resources.peakMemory));
+    }
+    if (resources.httpRequests) {
+      parts.push(`${resources.httpRequests} req ${this.formatBytes(resources.httpBytes)}`);
+    }
+    if (resources.stockCalls) {
+      parts.push(`${resources.stockCalls} stock`);
+    }
+    if (resources.chartImages) {
+      parts.push(`${resources.chartImages} img`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Format a byte count as B, KB or MB
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) {
+      return `${bytes}B`;
+    }
+    if (bytes < 1024 * 1024) {
+      return `${(bytes / 1024).toFixed(1)}KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  }
+
   /**
    * Format the result for posting
    * Handles both successful evaluations and errors
@@ -81,18 +193,37 @@ class CommandParser {
    */
   formatResult(result) {
     if (!result.success) {
-      return `Error: ${result.error}`;
+      let error;
+      if (result.errorType === 'timeout') {
+        error = `⏱ ${result.error}`;
+      } else if (result.errorType === 'memory') {
+        error = `💥 ${result.error}`;
+      } else {
+        error = `Error: ${result.error}`;
+      }
+
+      // Console output written before the failure comes first
+      const logs = this.formatOutput(result);
+      return logs ? `${logs}\n${error}` : error;
     }
 
     let output = '';
 
     // Add console output if present
-    if (result.output) {
-      output += result.output;
-    }
+    output += this.formatOutput(result);
 
-    // Add return value if present and not undefined
-    if (result.result !== undefined) {
+    // Add return value rendered by the sandbox inspector
+    if (result.display !== undefined) {
+      if (result.resultType !== 'undefined') {
+        if (output) {
+          output += '\n';
+        }
+
+        // Unhandled rejections read "Uncaught ..." like the Node REPL
+        output += result.resultType === 'rejected' ? result.display : `=> ${result.display}`;
+      }
+    } else if (result.result !== undefined) {
+      // Add return value if present and not undefined
       if (output) {
         output += '\n';
       }
@@ -117,6 +248,23 @@ class CommandParser {
     return output;
   }
 
+  /**
+   * Format console output, marking errors and warnings
+   *
+   * @param {object} result - Sandbox execution result
+   * @returns {string} - Console output text (empty if none)
+   */
+  formatOutput(result) {
+    if (!result.logs) {
+      return result.output || '';
+    }
+
+    const markers = { error: '✖ ', warn: '⚠ ' };
+    return result.logs
+      .map(entry => (markers[entry.level] || '') + entry.text)
+      .join('\n');
+  }
+
   /**
    * Truncate text to fit within grapheme limit
    * Uses grapheme-splitter for accurate Unicode grapheme cluster counting
@@ -0,0 +1,191 @@
+// Console API for the sandbox
+// Runs inside the QuickJS sandbox (the function is injected as source),
+// so it must stay self-contained: no closures over module scope
+
+/**
+ * Install globalThis.console
+ * Arguments are formatted like Node's util.format and each call is passed
+ * to the host with its level
+ *
+ * @param {Function} inspect - In-VM inspector (see inspector.js)
+ * @param {Function} write - Host callback (level, text)
+ * @param {object} inspectOptions - Options passed through to inspect
+ */
+function installConsole(inspect, write, inspectOptions) {
+  const show = (value, options) => inspect(value, { ...inspectOptions, ...options }).text;
+
+  // util.format: printf-style specifiers, then remaining args space-separated
+  const format = (args) => {
+    const parts = [];
+    let rest = args;
+
+    if (typeof args[0] === 'string' && args.length > 1) {
+      let next = 1;
+      const text = args[0].replace(/%([sdifjoOc%])/g, (match, spec) => {
+        if (spec === '%') {
+          return '%';
+        }
+        if (next >= args.length) {
+          return match;
+        }
+        const arg = args[next++];
+        switch (spec) {
+          case 's':
+            if (typeof arg === 'string') return arg;
+            if (typeof arg === 'bigint') return `${arg}n`;
+            if (typeof arg === 'object' && arg !== null) return show(arg, { depth: 0 });
+            return String(arg);
+          case 'd':
+            return typeof arg === 'bigint' ? `${arg}n` : String(Number(arg));
+          case 'i':
+            return typeof arg === 'bigint' ? `${arg}n` : String(parseInt(arg, 10));
+          case 'f':
+            return String(parseFloat(arg));
+          case 'j':
+            try {
+              return JSON.stringify(arg);
+            } catch (e) {
+              return '[Circular]';
+            }
+          case 'o':
+          case 'O':
+            return show(arg);
+          case 'c':
+            return ''; // CSS styling has no meaning here
+        }
+        return match;
+      });
+      parts.push(text);
+      rest = args.slice(next);
+    } else if (typeof args[0] === 'string') {
+      parts.push(args[0]);
+      rest = args.slice(1);
+    }
+
+    for (const arg of rest) {
+      parts.push(typeof arg === 'string' ? arg : show(arg));
+    }
+
+    return parts.join(' ');
+  };
+
+  let groupIndent = '';
+  const emit = (level, text) => {
+    const indented = groupIndent
+      ? text.split('\n').map(line => groupIndent + line).join('\n')
+      : text;
+    write(level, indented);
+  };
+
+  const counts = new Map();
+  const timers = new Map();
+
+  // Compact text table: header, rule, one line per row
+  const table = (data, properties) => {
+    if (data === null || typeof data !== 'object') {
+      return format([data]);
+    }
+
+    const cell = (value) => (typeof value === 'string' ? value : show(value, { depth: 0, breakLength: Infinity }));
+    const rows = data instanceof Map ? [...data.entries()]
+      : data instanceof Set ? [...data].map((value, i) => [i, value])
+        : Object.keys(data).map(key => [key, data[key]]);
+
+    const columns = [];
+    let hasValues = false;
+    for (const [, row] of rows) {
+      if (row !== null && typeof row === 'object') {
+        for (const key of Object.keys(row)) {
+          if (!columns.includes(key)) columns.push(key);
+        }
+      } else {
+        hasValues = true;
+      }
+    }
+
+    const shownColumns = properties ? columns.filter(c => properties.includes(c)) : columns;
+    const header = ['(index)', ...shownColumns, ...(hasValues ? ['Values'] : [])];
+    const body = rows.map(([key, row]) => {
+      const isObject = row !== null && typeof row === 'object';
+      return [
+        String(key),
+        ...shownColumns.map(c => (isObject && c in row ? cell(row[c]) : '')),
+        ...(hasValues ? [isObject ? '' : cell(row)] : [])
+      ];
+    });
+
+    const widths = header.map((h, i) => Math.max(h.length, ...body.map(r => r[i].length)));
+    const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join(' │ ').trimEnd();
+
+    return [
+      line(header),
+      widths.map(w => '─'.repeat(w)).join('─┼─'),
+      ...body.map(line)
+    ].join('\n');
+  };
+
+  globalThis.console = {
+    log: (...args) => emit('log', format(args)),
+    info: (...args) => emit('info', format(args)),
+    debug: (...args) => emit('debug', format(args)),
+    warn: (...args) => emit('warn', format(args)),
+    error: (...args) => emit('error', format(args)),
+    trace: (...args) => {
+      const stack = (new Error().stack || '').split('\n').slice(1).join('\n');
+      emit('trace', `Trace${args.length ? `: ${format(args)}` : ''}${stack ? `\n${stack}` : ''}`);
+    },
+    dir: (value, options) => emit('log', show(value, options)),
+    table: (data, properties) => emit('log', table(data, properties)),
+    assert: (condition, ...args) => {
+      if (!condition) {
+        emit('error', args.length ? `Assertion failed: ${format(args)}` : 'Assertion failed');
+      }
+    },
+    count: (label = 'default') => {
+      const count = (counts.get(String(label)) || 0) + 1;
+      counts.set(String(label), count);
+      emit('info', `${label}: ${count}`);
+    },
+    countReset: (label = 'default') => {
+      counts.delete(String(label));
+    },
+    time: (label = 'default') => {
+      if (timers.has(String(label))) {
+        emit('warn', `Timer '${label}' already exists`);
+        return;
+      }
+      timers.set(String(label), Date.now());
+    },
+    timeLog: (label = 'default', ...args) => {
+      if (!timers.has(String(label))) {
+        emit('warn', `Timer '${label}' does not exist`);
+        return;
+      }
+      const elapsed = Date.now() - timers.get(String(label));
+      emit('info', `${label}: ${elapsed}ms${args.length ? ` ${format(args)}` : ''}`);
+    },
+    timeEnd: (label = 'default') => {
+      if (!timers.has(String(label))) {
+        emit('warn', `Timer '${label}' does not exist`);
+        return;
+      }
+      const elapsed = Date.now() - timers.get(String(label));
+      timers.delete(String(label));
+      emit('info', `${label}: ${elapsed}ms`);
+    },
+    group: (...args) => {
+      if (args.length) emit('log', format(args));
+      groupIndent += '  ';
+    },
+    groupCollapsed: (...args) => {
+      if (args.length) emit('log', format(args));
+      groupIndent += '  ';
+    },
+    groupEnd: () => {
+      groupIndent = groupIndent.slice(2);
+    },
+    clear: () => {}
+  };
+}
+
+module.exports = installConsole;
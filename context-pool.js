@@ -0,0 +1,61 @@
+// Pool of pre-initialized sandboxes for a worker thread
+// Keeps clean sandboxes (runtime, context and globals set up) ready so an
+// eval doesn't wait for setup; each one serves a single eval and is then
+// discarded, so nothing leaks between users
+
+class ContextPool {
+  constructor(options = {}) {
+    this.create = options.create; // () => new, uninitialized Sandbox
+    this.size = options.size !== undefined ? options.size : 1; // Sandboxes kept ready
+    this.ready = []; // Promises of initialized sandboxes
+  }
+
+  /**
+   * Create and initialize a sandbox
+   * @returns {Promise<Sandbox>}
+   */
+  async warm() {
+    const sandbox = this.create();
+    await sandbox.init();
+    return sandbox;
+  }
+
+  /**
+   * Warm sandboxes until the pool is full
+   */
+  fill() {
+    while (this.ready.length < this.size) {
+      const sandbox = this.warm();
+      sandbox.catch((error) => {
+        console.error('[Contexts] Failed to warm a sandbox:', error.message);
+      });
+      this.ready.push(sandbox);
+    }
+  }
+
+  /**
+   * Take a clean sandbox, falling back to a new one if none is ready
+   * @returns {Promise<Sandbox>}
+   */
+  async acquire() {
+    if (this.ready.length > 0) {
+      try {
+        return await this.ready.shift();
+      } catch (error) {
+        // Warming failed (already logged), try again from scratch
+      }
+    }
+
+    return this.warm();
+  }
+
+  /**
+   * Discard a used sandbox (fill() warms its replacement)
+   * @throws {Error} - If disposing fails, which leaves the shared WASM module unusable
+   */
+  discard(sandbox) {
+    sandbox.dispose();
+  }
+}
+
+module.exports = ContextPool;
@@ -0,0 +1,58 @@
+// Deterministic mode: seeded Math.random and a frozen clock
+// Runs inside the QuickJS sandbox (the function is injected as source),
+// so it must stay self-contained: no closures over module scope
+
+/**
+ * Install the switch between the real and the deterministic globals
+ *
+ * @returns {Function} - set(seed, now) to seed Math.random and freeze Date at
+ *   now (ms since the epoch); set(null) to restore the real ones
+ */
+function installDeterminism() {
+  const RealDate = Date;
+  const realRandom = Math.random;
+  let frozenAt = 0;
+
+  // Date whose clock is stopped; explicit times, parse() and UTC() still work
+  function FrozenDate(...args) {
+    if (!new.target) {
+      return new RealDate(frozenAt).toString();
+    }
+    return Reflect.construct(RealDate, args.length === 0 ? [frozenAt] : args, new.target);
+  }
+  Object.defineProperty(FrozenDate, 'name', { value: 'Date' });
+  Object.defineProperty(FrozenDate, 'length', { value: 7 });
+  FrozenDate.prototype = RealDate.prototype;
+  Object.assign(FrozenDate, {
+    now() {
+      return frozenAt;
+    },
+    parse: RealDate.parse,
+    UTC: RealDate.UTC
+  });
+
+  return function setDeterminism(seed, at) {
+    if (seed === null) {
+      globalThis.Date = RealDate;
+      RealDate.prototype.constructor = RealDate;
+      Math.random = realRandom;
+      return;
+    }
+
+    // mulberry32: small, fast and good enough for reproducible scripts
+    let state = seed >>> 0;
+    Math.random = function random() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    frozenAt = at;
+    globalThis.Date = FrozenDate;
+    RealDate.prototype.constructor = FrozenDate;
+  };
+}
+
+module.exports = installDeterminism;
@@ -0,0 +1,104 @@
+// Per-domain HTTP policies
+// Matches hostnames against domain patterns (with wildcards) and resolves the
+// rule for a host: timeout and size overrides, per-user and all-user rate limits
+
+// Rule fields a domain pattern may set
+//   requestLimit      - Requests to the domain by all users per window
+//   userRequestLimit  - Requests to the domain by each user per window
+//   requestInterval   - Window length in seconds (default 60)
+//   timeout           - Request timeout in ms
+//   transferLimit     - Max response size in bytes
+
+class DomainPolicy {
+  constructor(options = {}) {
+    // pattern -> rule, most specific pattern first
+    this.rules = Object.entries(options.rules || {})
+      .map(([pattern, rule]) => ({ pattern: pattern.toLowerCase(), rule: { ...rule } }))
+      .sort((a, b) => DomainPolicy.specificity(b.pattern) - DomainPolicy.specificity(a.pattern));
+    // All-user budget for every host without a requestLimit of its own
+    this.budget = {
+      requestLimit: 120,
+      requestInterval: 60, // seconds
+      ...options.budget
+    };
+  }
+
+  /**
+   * Normalize a URL hostname (lowercase, no IPv6 brackets or trailing dot)
+   */
+  static normalize(hostname) {
+    return hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  }
+
+  /**
+   * Check if a hostname matches a domain pattern
+   *   example.com     - example.com and all its subdomains
+   *   *.example.com   - subdomains of example.com only
+   *   api.*.example.com, cdn*.example.com - "*" matches within one label
+   */
+  static matches(hostname, pattern) {
+    if (pattern.startsWith('*.') && !pattern.slice(2).includes('*')) {
+      return hostname.endsWith(pattern.slice(1));
+    }
+    if (pattern.includes('*')) {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*');
+      return new RegExp(`^${source}$`).test(hostname);
+    }
+    return hostname === pattern || hostname.endsWith(`.${pattern}`);
+  }
+
+  /**
+   * Rank patterns so exact domains beat wildcards and longer beats shorter
+   */
+  static specificity(pattern) {
+    return pattern.replace(/\*/g, '').length * 2 + (pattern.includes('*') ? 0 : 1);
+  }
+
+  /**
+   * Check if a hostname matches any pattern in a list
+   */
+  static matchesAny(hostname, patterns) {
+    return patterns.some(pattern => DomainPolicy.matches(hostname, pattern.toLowerCase()));
+  }
+
+  /**
+   * Resolve the rule for a host
+   * @returns {object} - { pattern, ...rule }, with pattern null if no rule matches
+   */
+  resolve(hostname) {
+    const host = DomainPolicy.normalize(hostname);
+    const match = this.rules.find(({ pattern }) => DomainPolicy.matches(host, pattern));
+    return match ? { pattern: match.pattern, ...match.rule } : { pattern: null };
+  }
+
+  /**
+   * Rate windows a request to a host counts against, besides the user's own
+   * Hosts without a rule share nothing: each gets the default budget
+   *
+   * @returns {Array<object>} - [{ key, limit, interval, label }], interval in seconds
+   */
+  windows(hostname, channel) {
+    const host = DomainPolicy.normalize(hostname);
+    const rule = this.resolve(host);
+    const domain = rule.pattern || host; // Wildcard rules share one budget
+    const interval = rule.requestInterval || this.budget.requestInterval;
+    const windows = [{
+      key: `domain:${domain}`,
+      limit: rule.requestLimit !== undefined ? rule.requestLimit : this.budget.requestLimit,
+      interval: rule.requestLimit !== undefined ? interval : this.budget.requestInterval,
+      label: `to ${domain} by all users`
+    }];
+
+    if (rule.userRequestLimit !== undefined) {
+      windows.push({
+        key: `domain:${domain}:${channel}`,
+        limit: rule.userRequestLimit,
+        interval,
+        label: `to ${domain}`
+      });
+    }
+    return windows;
+  }
+}
+
+module.exports = DomainPolicy;
@@ -0,0 +1,364 @@
+// Scheduled and recurring evaluations
+// Runs a user's code later or repeatedly and replies in the original thread,
+// using BullMQ delayed jobs and job schedulers in queue mode and timers otherwise
+
+const crypto = require('crypto');
+
+const DAY = 86400000;
+
+// Atomically add a schedule unless its user has too many or its ID is taken
+// KEYS = schedules hash, the user's set of schedule IDs
+// ARGV = schedules allowed per user, schedule ID, schedule JSON
+// Returns 1 if added, 0 if the user is at the limit, -1 if the ID is taken
+const ADD_SCRIPT = `
+if redis.call('SCARD', KEYS[2]) >= tonumber(ARGV[1]) then
+  return 0
+end
+if redis.call('HSETNX', KEYS[1], ARGV[2], ARGV[3]) == 0 then
+  return -1
+end
+redis.call('SADD', KEYS[2], ARGV[2])
+return 1
+`;
+
+class EvalScheduler {
+  constructor(options = {}) {
+    this.queue = options.queue || null; // JobQueue (queue mode); in-process timers otherwise
+    this.maxPerUser = options.maxPerUser || 5; // Active schedules per user
+    this.minInterval = options.minInterval || 900000; // 15 minutes between recurring runs
+    this.maxDelay = options.maxDelay || 7 * DAY; // Longest delay or interval
+    this.redisKey = options.redisKey || 'smegmascript:schedules'; // Hash of schedules (queue mode)
+
+    this.entries = new Map(); // In-process mode: id -> schedule
+    this.timers = new Map(); // In-process mode: id -> timeout
+    this.runner = null;
+  }
+
+  /**
+   * Start running schedules
+   * @param {Function} runner - Async function (schedule) that evaluates and replies
+   */
+  init(runner) {
+    this.runner = runner;
+  }
+
+  /**
+   * All schedules, oldest first
+   */
+  async getSchedules() {
+    let schedules;
+    if (this.queue) {
+      const stored = await this.queue.connection.hgetall(this.redisKey);
+      schedules = Object.values(stored).map(json => JSON.parse(json));
+    } else {
+      schedules = [...this.entries.values()];
+    }
+    return schedules.sort((a, b) => a.created - b.created);
+  }
+
+  /**
+   * Get one schedule by ID
+   */
+  async getSchedule(id) {
+    if (this.queue) {
+      const json = await this.queue.connection.hget(this.redisKey, id);
+      return json ? JSON.parse(json) : null;
+    }
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Redis set of a user's schedule IDs (queue mode), which the per-user
+   * limit counts
+   */
+  userKey(author) {
+    return `${this.redisKey}:user:${author}`;
+  }
+
+  /**
+   * Store a new schedule, checking the per-user limit and the ID in the
+   * same step so concurrent requests can't exceed or overwrite
+   * @returns {Promise<number>} - 1 if added, 0 if the user is at the limit, -1 if the ID is taken
+   */
+  async add(schedule) {
+    if (this.queue) {
+      const connection = this.queue.connection;
+      if (!connection.scheduleAdd) {
+        connection.defineCommand('scheduleAdd', { numberOfKeys: 2, lua: ADD_SCRIPT });
+      }
+      return connection.scheduleAdd(this.redisKey, this.userKey(schedule.author),
+        this.maxPerUser, schedule.id, JSON.stringify(schedule));
+    }
+
+    if (this.entries.has(schedule.id)) {
+      return -1;
+    }
+    const owned = [...this.entries.values()].filter(s => s.author === schedule.author);
+    if (owned.length >= this.maxPerUser) {
+      return 0;
+    }
+    this.entries.set(schedule.id, schedule);
+    return 1;
+  }
+
+  /**
+   * Forget a schedule without touching its jobs or timers
+   */
+  async forget(schedule) {
+    if (this.queue) {
+      await this.queue.connection.multi()
+        .hdel(this.redisKey, schedule.id)
+        .srem(this.userKey(schedule.author), schedule.id)
+        .exec();
+    } else {
+      this.entries.delete(schedule.id);
+    }
+  }
+
+  /**
+   * Check a schedule spec against the limits
+   * @throws {Error} - If the delay or interval is out of range
+   */
+  checkSpec(spec) {
+    if (spec.delay !== undefined && spec.delay > this.maxDelay) {
+      throw new Error(`Delay is too long (max ${this.formatDuration(this.maxDelay)})`);
+    }
+    if (spec.every !== undefined && spec.every < this.minInterval) {
+      throw new Error(`Interval is too short (min ${this.formatDuration(this.minInterval)})`);
+    }
+    if (spec.every !== undefined && spec.every > this.maxDelay) {
+      throw new Error(`Interval is too long (max ${this.formatDuration(this.maxDelay)})`);
+    }
+  }
+
+  /**
+   * Schedule code to run for a user
+   *
+   * @param {string} author - User DID
+   * @param {object} spec - { delay }, { every } or { at: 'HH:MM' } (daily, UTC)
+   * @param {string} code - Code to evaluate
+   * @param {object} target - Post to reply to ({ uri, cid, root })
+   * @returns {Promise<object>} - The schedule
+   * @throws {Error} - If the spec is out of range or the user has too many schedules
+   */
+  async schedule(author, spec, code, target) {
+    this.checkSpec(spec);
+
+    // Short IDs are easy to type but can collide, so pick another on a clash
+    let schedule;
+    for (let attempt = 0; !schedule; attempt++) {
+      if (attempt === 10) {
+        throw new Error('Could not pick a schedule ID, try again');
+      }
+
+      const candidate = {
+        id: crypto.randomBytes(3).toString('hex'),
+        author,
+        code,
+        spec,
+        target,
+        created: Date.now(),
+        runAt: spec.delay !== undefined ? Date.now() + spec.delay : null
+      };
+      const added = await this.add(candidate);
+      if (added === 0) {
+        throw new Error(`You have reached the limit of ${this.maxPerUser} schedules; cancel one with !unschedule <id>`);
+      }
+      if (added === 1) {
+        schedule = candidate;
+      }
+    }
+
+    if (this.queue) {
+      try {
+        // The author is only for the queue's logs; runs read the stored schedule
+        await this.queue.addScheduled(schedule.id, { id: schedule.id, author }, this.jobSchedule(spec));
+      } catch (error) {
+        await this.forget(schedule);
+        throw error;
+      }
+    } else {
+      this.arm(schedule);
+    }
+
+    console.log(`[Scheduler] ${author} scheduled #${schedule.id} (${this.describe(schedule)})`);
+    return schedule;
+  }
+
+  /**
+   * Cancel a schedule
+   * @returns {Promise<boolean>} - False if missing or owned by someone else
+   */
+  async cancel(id, author, isAdmin = false) {
+    const schedule = await this.getSchedule(id);
+    if (!schedule || (schedule.author !== author && !isAdmin)) {
+      return false;
+    }
+
+    await this.forget(schedule);
+    if (this.queue) {
+      await this.queue.removeScheduled(id);
+    } else {
+      clearTimeout(this.timers.get(id));
+      this.timers.delete(id);
+    }
+
+    console.log(`[Scheduler] Cancelled #${id}`);
+    return true;
+  }
+
+  /**
+   * BullMQ schedule for a spec (see JobQueue.addScheduled)
+   */
+  jobSchedule(spec) {
+    if (spec.at) {
+      const [hours, minutes] = spec.at.split(':').map(Number);
+      return { pattern: `${minutes} ${hours} * * *`, tz: 'UTC' };
+    }
+    return spec.delay !== undefined ? { delay: spec.delay } : { every: spec.every };
+  }
+
+  /**
+   * Next run time of an in-process schedule
+   */
+  nextRun(schedule, now = Date.now()) {
+    const { spec } = schedule;
+    if (spec.delay !== undefined) {
+      return schedule.runAt;
+    }
+    if (spec.every !== undefined) {
+      return now + spec.every;
+    }
+
+    const [hours, minutes] = spec.at.split(':').map(Number);
+    const next = new Date(now);
+    next.setUTCHours(hours, minutes, 0, 0);
+    if (next.getTime() <= now) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+    return next.getTime();
+  }
+
+  /**
+   * Set the timer for an in-process schedule's next run
+   */
+  arm(schedule) {
+    const delay = Math.max(this.nextRun(schedule) - Date.now(), 0);
+    this.timers.set(schedule.id, setTimeout(() => {
+      this.timers.delete(schedule.id);
+      if (schedule.spec.delay === undefined && this.entries.has(schedule.id)) {
+        this.arm(schedule);
+      }
+      this.run(schedule.id);
+    }, delay));
+  }
+
+  /**
+   * Run a schedule now (called by its timer or queue job)
+   */
+  async run(id) {
+    const schedule = await this.getSchedule(id);
+    if (!schedule || !this.runner) {
+      return; // Cancelled meanwhile
+    }
+
+    if (schedule.spec.delay !== undefined) {
+      await this.forget(schedule);
+    }
+
+    console.log(`[Scheduler] Running #${id} for ${schedule.author}`);
+    try {
+      await this.runner(schedule);
+    } catch (error) {
+      // Never rethrow: a retried job would reply twice
+      console.error(`[Scheduler] Run #${id} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Handle a parsed schedule command (see CommandParser.parseSchedule)
+   *
+   * @param {object} command - Parsed command
+   * @param {object} context - { author, isAdmin, uri, cid, root }
+   * @returns {Promise<string>} - Reply text
+   */
+  async handle(command, context) {
+    const { author, isAdmin, uri, cid, root } = context;
+
+    if (command.error) {
+      return command.error;
+    }
+
+    try {
+      switch (command.action) {
+        case 'schedule': {
+          const schedule = await this.schedule(author, command.spec, command.code, { uri, cid, root });
+          return `⏰ Scheduled #${schedule.id}: ${this.describe(schedule)}\nCancel with !unschedule ${schedule.id}`;
+        }
+
+        case 'list': {
+          const owned = (await this.getSchedules()).filter(s => s.author === author);
+          if (owned.length === 0) {
+            return 'No schedules. Use !in <2h> <code> or !every <6h> <code>';
+          }
+          return owned.map((s) => {
+            const code = s.code.length > 30 ? `${s.code.slice(0, 30)}…` : s.code;
+            return `#${s.id} ${this.describe(s)}: ${code.replace(/\s+/g, ' ')}`;
+          }).join('\n');
+        }
+
+        case 'cancel':
+          if (!(await this.cancel(command.id, author, isAdmin))) {
+            return `No schedule #${command.id}`;
+          }
+          return `✓ Cancelled #${command.id}`;
+
+        default:
+          return `Unknown schedule command: ${command.action}`;
+      }
+    } catch (error) {
+      return `Error: ${error.message}`;
+    }
+  }
+
+  /**
+   * Describe when a schedule runs
+   */
+  describe(schedule) {
+    const { spec } = schedule;
+    if (spec.at) {
+      return `daily at ${spec.at} UTC`;
+    }
+    if (spec.every !== undefined) {
+      return `every ${this.formatDuration(spec.every)}`;
+    }
+    return `once at ${new Date(schedule.runAt).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  }
+
+  /**
+   * Format milliseconds like 1d12h or 2h30m
+   */
+  formatDuration(ms) {
+    const units = [['d', DAY], ['h', 3600000], ['m', 60000], ['s', 1000]];
+    let text = '';
+    for (const [unit, size] of units) {
+      if (ms >= size) {
+        text += `${Math.floor(ms / size)}${unit}`;
+        ms %= size;
+      }
+    }
+    return text || '0s';
+  }
+
+  /**
+   * Stop in-process timers (queue mode schedules live on in Redis)
+   */
+  close() {
+    for (const timeout of this.timers.values()) {
+      clearTimeout(timeout);
+    }
+    this.timers.clear();
+  }
+}
+
+module.exports = EvalScheduler;
@@ -0,0 +1,78 @@
+// Offline market-data provider backed by a JSON fixture file
+// Serves quotes, charts and search results for development without network
+// access; the file looks like market-fixtures.json:
+//   { "quotes": { "AAPL": { ...quote } }, "charts": { "AAPL": { currency, timezone, quotes: [...] } } }
+
+const fs = require('fs');
+const path = require('path');
+
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.file = path.resolve(__dirname, options.file || 'market-fixtures.json');
+
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.quoteData = data.quotes || {}; // SYMBOL -> quote
+    this.chartData = data.charts || {}; // SYMBOL -> { currency, timezone, quotes }
+  }
+
+  /**
+   * Error for a symbol missing from the fixtures (not an outage, see market-data.js)
+   */
+  notFound(message) {
+    const error = new Error(message);
+    error.notFound = true;
+    return error;
+  }
+
+  /**
+   * Quote for one symbol
+   * @throws {Error} - If the symbol is not in the fixtures
+   */
+  async quote(symbol) {
+    const quote = this.quoteData[symbol.toUpperCase()];
+    if (!quote) {
+      throw this.notFound(`No fixture quote for ${symbol}`);
+    }
+    return { symbol: symbol.toUpperCase(), ...quote };
+  }
+
+  /**
+   * Quotes for several symbols (unknown symbols are left out, like Yahoo)
+   */
+  async quotes(symbols) {
+    return symbols
+      .filter(symbol => this.quoteData[symbol.toUpperCase()])
+      .map(symbol => ({ symbol: symbol.toUpperCase(), ...this.quoteData[symbol.toUpperCase()] }));
+  }
+
+  /**
+   * Historical prices; fixtures are static, so every period and interval
+   * returns the recorded series
+   */
+  async chart(symbol) {
+    const chart = this.chartData[symbol.toUpperCase()];
+    if (!chart) {
+      throw this.notFound(`No fixture chart for ${symbol}`);
+    }
+    return { symbol: symbol.toUpperCase(), ...chart, quotes: chart.quotes.map(q => ({ ...q })) };
+  }
+
+  /**
+   * Fixture symbols whose ticker or name contains the query
+   */
+  async search(query) {
+    const needle = query.toLowerCase();
+    return Object.entries(this.quoteData)
+      .filter(([symbol, quote]) => symbol.toLowerCase().includes(needle) ||
+        (quote.name || '').toLowerCase().includes(needle))
+      .map(([symbol, quote]) => ({
+        symbol,
+        name: quote.name || null,
+        exchange: quote.exchange || null,
+        type: quote.type || 'EQUITY'
+      }));
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,78 @@
+// Recorded host-call results for deterministic evals
+// Maps plugin calls (function name plus JSON arguments) to the result or
+// error they produced, so fetch() and stock() replay without the network
+
+const JsonFile = require('./json-file');
+
+class FixtureStore {
+  constructor(options = {}) {
+    this.file = options.file || null; // JSON fixture file
+    this.record = options.record || false; // Make unrecorded calls live and save them
+    this.fixtures = { ...options.fixtures }; // key -> { value } or { error: { name, message } }
+
+    this.load();
+  }
+
+  /**
+   * Load fixtures from the fixture file
+   */
+  load() {
+    Object.assign(this.fixtures, JsonFile.load(this.file, 'Fixtures'));
+  }
+
+  /**
+   * Write fixtures to the fixture file
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    JsonFile.save(this.file, this.fixtures, 2);
+  }
+
+  /**
+   * Fixture key for a call, e.g. stock("AAPL")
+   */
+  key(name, values) {
+    return `${name}(${JSON.stringify(values).slice(1, -1)})`;
+  }
+
+  /**
+   * Replay a recorded call, recording it first when allowed
+   *
+   * @param {string} name - Plugin function name
+   * @param {Array} values - Arguments as passed by sandbox code
+   * @param {Function} live - Makes the real call
+   * @returns {Promise<*>} - Recorded result
+   * @throws {Error} - The recorded error, or if the call was never recorded
+   */
+  async call(name, values, live) {
+    const key = this.key(name, values);
+
+    if (!(key in this.fixtures)) {
+      if (!this.record) {
+        throw new Error(`No recorded fixture for ${key}`);
+      }
+
+      try {
+        const value = await live();
+        this.fixtures[key] = value === undefined ? {} : { value };
+      } catch (error) {
+        this.fixtures[key] = { error: { name: error.name, message: error.message } };
+      }
+      this.save();
+      console.log(`[Fixtures] Recorded ${key}`);
+    }
+
+    const fixture = this.fixtures[key];
+    if (fixture.error) {
+      const error = new Error(fixture.error.message);
+      error.name = fixture.error.name;
+      throw error;
+    }
+    return 'value' in fixture ? JSON.parse(JSON.stringify(fixture.value)) : undefined;
+  }
+}
+
+module.exports = FixtureStore;
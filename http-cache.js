@@ -0,0 +1,241 @@
+// Shared HTTP response cache for sandbox GET requests
+// Honors Cache-Control, Expires, ETag and Last-Modified like a shared (proxy)
+// cache. Entries live in Redis in queue mode and in memory otherwise
+
+const crypto = require('crypto');
+const createRedisClient = require('./redis-client');
+
+// Headers a 304 Not Modified response updates on the cached response
+const REVALIDATED_HEADERS = ['cache-control', 'expires', 'date', 'age', 'etag', 'last-modified', 'vary'];
+
+class HttpCache {
+  constructor(options = {}) {
+    this.redisConfig = options.redis || null; // Redis connection settings (queue mode)
+    this.keyPrefix = options.keyPrefix || 'smegmascript:httpcache:';
+    this.maxEntries = options.maxEntries || 500;
+    this.maxBytes = options.maxBytes || 16 * 1024 * 1024; // Memory mode, all entries
+    this.maxEntryBytes = options.maxEntryBytes || 150000; // Larger responses aren't cached
+    this.maxTTL = options.maxTTL || 86400; // seconds an entry is kept, fresh or stale
+    this.revalidateFor = options.revalidateFor || 3600; // seconds stale entries with validators are kept
+
+    this.redis = null;
+    this.entries = new Map(); // Memory mode: key -> { json, bytes }, least recently used first
+    this.bytes = 0;
+
+    if (this.redisConfig) {
+      this.redis = createRedisClient(this.redisConfig, 'HttpCache');
+    }
+  }
+
+  /**
+   * Parse a Cache-Control header into { directive: value or true }
+   */
+  static parseCacheControl(header) {
+    const directives = {};
+    for (const part of String(header || '').split(',')) {
+      const [name, value] = part.trim().split('=');
+      if (name) {
+        directives[name.toLowerCase()] = value === undefined ? true : value.replace(/^"|"$/g, '');
+      }
+    }
+    return directives;
+  }
+
+  /**
+   * How a response may be cached by a shared cache
+   *
+   * @param {object} headers - Response headers (lowercase names)
+   * @param {number} now - Current time (ms)
+   * @returns {object|null} - { expires, etag, lastModified }, or null if it can't be stored
+   */
+  static policy(headers, now = Date.now()) {
+    const cacheControl = HttpCache.parseCacheControl(headers['cache-control']);
+    if (cacheControl['no-store'] || cacheControl.private || headers.vary === '*' || headers['set-cookie']) {
+      return null;
+    }
+
+    const seconds = value => (/^\d+$/.test(value) ? Number(value) * 1000 : null);
+    let lifetime = 0;
+    if (!cacheControl['no-cache']) {
+      if (seconds(cacheControl['s-maxage']) !== null) {
+        lifetime = seconds(cacheControl['s-maxage']);
+      } else if (seconds(cacheControl['max-age']) !== null) {
+        lifetime = seconds(cacheControl['max-age']);
+      } else if (headers.expires) {
+        const date = Date.parse(headers.date) || now;
+        lifetime = (Date.parse(headers.expires) || 0) - date;
+      }
+      lifetime -= seconds(headers.age) || 0;
+    }
+
+    const etag = headers.etag || null;
+    const lastModified = headers['last-modified'] || null;
+    if (lifetime <= 0 && !etag && !lastModified) {
+      return null;
+    }
+
+    return { expires: now + Math.max(0, lifetime), etag, lastModified };
+  }
+
+  /**
+   * Cache key for a URL and the request headers sent with it, so a response
+   * is only reused for requests that would have produced it
+   */
+  key(url, headers) {
+    const normalized = Object.entries(headers || {})
+      .map(([name, value]) => [name.toLowerCase(), String(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return crypto.createHash('sha256').update(`${url}\n${JSON.stringify(normalized)}`).digest('hex');
+  }
+
+  /**
+   * Look up a cached response
+   *
+   * @param {string} url - Request URL
+   * @param {object} headers - Request headers
+   * @returns {Promise<object|null>} - { response, fresh, etag, lastModified } or null
+   */
+  async get(url, headers) {
+    const key = this.key(url, headers);
+    let json = null;
+
+    if (this.redis) {
+      json = await this.redis.get(this.keyPrefix + key);
+    } else if (this.entries.has(key)) {
+      // Re-insert so Map order tracks recency
+      const entry = this.entries.get(key);
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      json = entry.json;
+    }
+
+    if (!json) {
+      return null;
+    }
+
+    const entry = JSON.parse(json);
+    return {
+      response: entry.response,
+      fresh: entry.expires > Date.now(),
+      etag: entry.etag,
+      lastModified: entry.lastModified
+    };
+  }
+
+  /**
+   * Store a response if its headers allow it (otherwise drop any stale copy)
+   *
+   * @param {string} url - Request URL
+   * @param {object} headers - Request headers
+   * @param {object} response - { url, redirected, status, statusText, headers, body }
+   * @returns {Promise<boolean>} - True if stored
+   */
+  async put(url, headers, response) {
+    const key = this.key(url, headers);
+    const policy = response.status === 200 ? HttpCache.policy(response.headers) : null;
+    const json = policy ? JSON.stringify({ response, ...policy }) : null;
+    const bytes = json ? Buffer.byteLength(json, 'utf8') : 0;
+
+    if (!json || bytes > this.maxEntryBytes) {
+      await this.delete(key);
+      return false;
+    }
+
+    // Keep stale entries that can be revalidated a while longer
+    const stale = policy.etag || policy.lastModified ? this.revalidateFor * 1000 : 0;
+    const ttl = Math.min(policy.expires - Date.now() + stale, this.maxTTL * 1000);
+    if (ttl <= 0) {
+      await this.delete(key);
+      return false;
+    }
+
+    if (this.redis) {
+      const index = `${this.keyPrefix}index`;
+      const now = Date.now();
+      await this.redis.multi()
+        .set(this.keyPrefix + key, json, 'PX', ttl)
+        .zadd(index, now, key)
+        .zremrangebyscore(index, '-inf', now - this.maxTTL * 1000)
+        .exec();
+
+      // Evict the oldest entries beyond the cap
+      const excess = await this.redis.zcard(index) - this.maxEntries;
+      if (excess > 0) {
+        const oldest = await this.redis.zrange(index, 0, excess - 1);
+        await this.redis.multi()
+          .del(...oldest.map(k => this.keyPrefix + k))
+          .zrem(index, ...oldest)
+          .exec();
+      }
+    } else {
+      this.delete(key);
+      this.entries.set(key, { json, bytes });
+      this.bytes += bytes;
+
+      // Evict least recently used entries beyond the caps
+      while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+        this.delete(this.entries.keys().next().value);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Refresh an entry after the server answered 304 Not Modified
+   *
+   * @param {object} cached - Entry returned by get()
+   * @param {object} notModifiedHeaders - Headers of the 304 response
+   * @returns {Promise<object>} - The cached response with updated headers
+   */
+  async revalidated(url, headers, cached, notModifiedHeaders) {
+    const updated = Object.entries(notModifiedHeaders)
+      .filter(([name]) => REVALIDATED_HEADERS.includes(name));
+    const response = {
+      ...cached.response,
+      headers: { ...cached.response.headers, ...Object.fromEntries(updated) }
+    };
+    await this.put(url, headers, response);
+    return response;
+  }
+
+  /**
+   * Remove an entry
+   */
+  async delete(key) {
+    if (this.redis) {
+      await this.redis.del(this.keyPrefix + key);
+      return;
+    }
+
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.bytes;
+    }
+  }
+
+  /**
+   * Host functions for the sandbox fetch plugin
+   * Only plugin code may call these (sandbox code could otherwise plant entries)
+   */
+  getHostHandlers() {
+    return {
+      'http.cache.get': ([url, headers]) => this.get(url, headers),
+      'http.cache.put': ([url, headers, response]) => this.put(url, headers, response),
+      'http.cache.revalidated': ([url, headers, cached, notModifiedHeaders]) =>
+        this.revalidated(url, headers, cached, notModifiedHeaders)
+    };
+  }
+
+  /**
+   * Close the Redis connection
+   */
+  async close() {
+    if (this.redis) {
+      await this.redis.quit();
+    }
+  }
+}
+
+module.exports = HttpCache;
@@ -1,5 +1,6 @@
 // HTTP rate limiter based on smeggdrop limits
-// Tracks requests per eval and rolling window rate limiting
+// Tracks requests per eval and validates requests; the rolling windows
+// across evals live in HttpRateWindow
 
 class HttpLimiter {
   constructor(options = {}) {
@@ -11,52 +12,33 @@ class HttpLimiter {
     this.transferLimit = options.transferLimit || 150000; // bytes
     this.timeLimit = options.timeLimit || 5000; // milliseconds
 
-    // Track requests: { channel: [{ timestamp, evalId }] }
-    this.requests = new Map();
-    this.currentEvalId = 0;
+    // Request headers sandbox code may not set
+    this.deniedHeaders = new Set((options.deniedHeaders || [
+      'host', 'cookie', 'cookie2', 'set-cookie', 'connection', 'content-length',
+      'transfer-encoding', 'keep-alive', 'upgrade', 'te', 'trailer', 'expect',
+      'via', 'forwarded', 'x-forwarded-for', 'x-forwarded-host', 'x-real-ip'
+    ]).map(h => h.toLowerCase()));
+    this.allowedMethods = options.allowedMethods ||
+      ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+    this.evalRequestCount = 0;
   }
 
   // Start a new eval session
   startEval() {
-    this.currentEvalId++;
     this.evalRequestCount = 0;
   }
 
-  // Check if a request can be made
-  checkLimits(channel = 'default') {
-    const now = Date.now();
-    const requests = this.requests.get(channel) || [];
-
-    // Clean old requests outside the interval window
-    const threshold = now - (this.requestInterval * 1000);
-    const recentRequests = requests.filter(r => r.timestamp >= threshold);
-
-    // Count requests in current eval
-    const evalRequests = recentRequests.filter(r => r.evalId === this.currentEvalId);
-
-    if (evalRequests.length >= this.requestsPerEval) {
+  // Check the per-eval request limit
+  checkEvalLimit() {
+    if (this.evalRequestCount >= this.requestsPerEval) {
       throw new Error(`Too many HTTP requests in this eval (max ${this.requestsPerEval} requests)`);
     }
-
-    if (recentRequests.length >= this.requestLimit) {
-      throw new Error(`Too many HTTP requests (max ${this.requestLimit} requests in ${this.requestInterval} seconds)`);
-    }
-
-    // Update requests list
-    this.requests.set(channel, recentRequests);
   }
 
-  // Record a request
-  recordRequest(channel = 'default') {
-    const now = Date.now();
-    const requests = this.requests.get(channel) || [];
-
-    requests.push({
-      timestamp: now,
-      evalId: this.currentEvalId
-    });
-
-    this.requests.set(channel, requests);
+  // Record a request against the per-eval limit
+  recordRequest() {
+    this.evalRequestCount++;
   }
 
   // Validate POST body size
@@ -67,11 +49,33 @@ class HttpLimiter {
     }
   }
 
-  // Get configuration for fetch
-  getFetchConfig() {
+  // Validate and normalize the request method
+  validateMethod(method = 'GET') {
+    const normalized = String(method).toUpperCase();
+    if (!this.allowedMethods.includes(normalized)) {
+      throw new Error(`HTTP method not allowed: ${method}`);
+    }
+    return normalized;
+  }
+
+  // Validate request headers against the deny list
+  validateHeaders(headers) {
+    const result = {};
+    for (const [name, value] of Object.entries(headers)) {
+      const lower = name.toLowerCase();
+      if (this.deniedHeaders.has(lower) || lower.startsWith('proxy-') || lower.startsWith('sec-')) {
+        throw new Error(`Header not allowed: ${name}`);
+      }
+      result[name] = String(value);
+    }
+    return result;
+  }
+
+  // Get configuration for fetch, with a domain rule's overrides
+  getFetchConfig(rule = {}) {
     return {
-      timeout: this.timeLimit,
-      size: this.transferLimit
+      timeout: rule.timeout !== undefined ? rule.timeout : this.timeLimit,
+      size: rule.transferLimit !== undefined ? rule.transferLimit : this.transferLimit
     };
   }
 }
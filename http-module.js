@@ -0,0 +1,285 @@
+// HTTP module for the sandbox
+// Provides fetch() and post() as a sandbox plugin, with rate limiting and
+// SSRF protection
+
+const HttpLimiter = require('./http-limiter');
+const SsrfGuard = require('./ssrf-guard');
+const DomainPolicy = require('./domain-policy');
+const HttpRateWindow = require('./http-rate-window');
+
+// fetch() cache modes: default uses fresh entries and revalidates stale ones,
+// no-cache always revalidates, reload skips lookup but stores, no-store bypasses
+const CACHE_MODES = ['default', 'no-cache', 'reload', 'no-store'];
+
+// Request headers that make a GET unsuitable for the shared cache
+const UNCACHED_REQUEST_HEADERS = ['authorization', 'range', 'if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since'];
+
+// In-VM Headers, Response, fetch() and post() on top of the _fetch host function
+const PRELUDE = `
+  class Headers {
+    constructor(init = {}) {
+      this._map = {};
+      const entries = init instanceof Headers ? init.entries()
+        : Array.isArray(init) ? init
+        : Object.entries(init);
+      for (const [name, value] of entries) {
+        this.append(name, value);
+      }
+    }
+    append(name, value) {
+      const key = String(name).toLowerCase();
+      this._map[key] = key in this._map ? this._map[key] + ', ' + value : String(value);
+    }
+    set(name, value) { this._map[String(name).toLowerCase()] = String(value); }
+    get(name) {
+      const key = String(name).toLowerCase();
+      return key in this._map ? this._map[key] : null;
+    }
+    has(name) { return String(name).toLowerCase() in this._map; }
+    delete(name) { delete this._map[String(name).toLowerCase()]; }
+    entries() { return Object.entries(this._map); }
+    keys() { return Object.keys(this._map); }
+    values() { return Object.values(this._map); }
+    forEach(callback, thisArg) {
+      for (const [name, value] of this.entries()) callback.call(thisArg, value, name, this);
+    }
+    [Symbol.iterator]() { return this.entries()[Symbol.iterator](); }
+  }
+  class Response {
+    constructor(data) {
+      this.url = data.url;
+      this.redirected = data.redirected;
+      this.status = data.status;
+      this.statusText = data.statusText;
+      this.ok = data.status >= 200 && data.status < 300;
+      this.headers = new Headers(data.headers);
+      this.body = data.body; // Kept as text for older evals using r.body
+      this.cached = !!data.cached; // Served from the shared response cache
+    }
+    async text() { return this.body; }
+    async json() { return JSON.parse(this.body); }
+  }
+  globalThis.Headers = Headers;
+  globalThis.Response = Response;
+  globalThis.fetch = async function(url, options = {}) {
+    url = String(url);
+    // Add https:// if no protocol specified
+    if (!url.match(/^[a-z][a-z0-9+.-]*:\\/\\//i)) {
+      url = 'https://' + url;
+    }
+    const headers = new Headers(options.headers);
+    let body = options.body;
+    if (body !== undefined && body !== null && typeof body !== 'string') {
+      // Plain objects and arrays are sent as JSON
+      body = JSON.stringify(body);
+      if (!headers.has('content-type')) headers.set('content-type', 'application/json');
+    }
+    const request = {
+      method: options.method === undefined ? 'GET' : String(options.method),
+      headers: Object.fromEntries(headers.entries()),
+      body,
+      cache: options.cache === undefined ? 'default' : String(options.cache)
+    };
+    return new Response(await _fetch(url, request));
+  };
+  globalThis.post = async function(url, body) {
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: String(body)
+    });
+  };
+`;
+
+class HttpModule {
+  constructor(options = {}) {
+    this.limiter = new HttpLimiter(options.limits || {});
+    this.ssrfGuard = new SsrfGuard(options.ssrf || {});
+    this.domainOptions = options.domains || {}; // { rules, budget } (see domain-policy.js)
+    this.domains = new DomainPolicy(this.domainOptions); // Per-domain timeout and size overrides
+    this.sharedWindow = options.sharedWindow || null; // (hostname) => Promise, or null if unavailable
+    this.localWindow = null; // In-memory windows when there is no shared one
+    this.sharedCache = options.sharedCache || null; // (operation, args) => Promise, or null if unavailable
+    this.evalUsage = { requests: 0, bytes: 0 }; // Sent this eval (request plus response bodies)
+  }
+
+  /**
+   * Start a new eval (reset per-eval limits and usage)
+   */
+  startEval() {
+    this.limiter.startEval();
+    this.evalUsage = { requests: 0, bytes: 0 };
+  }
+
+  /**
+   * Call the shared response cache, treating failures as a miss
+   */
+  async cacheCall(operation, ...args) {
+    if (!this.sharedCache) {
+      return null;
+    }
+
+    try {
+      return await this.sharedCache(operation, args);
+    } catch (error) {
+      console.error(`[HTTP] Cache ${operation} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a request may use the shared cache
+   */
+  isCacheable(method, headers, cacheMode) {
+    if (!CACHE_MODES.includes(cacheMode)) {
+      throw new Error(`Invalid cache mode: ${cacheMode} (use ${CACHE_MODES.join(', ')})`);
+    }
+
+    return method === 'GET' && cacheMode !== 'no-store' &&
+      !Object.keys(headers).some(name => UNCACHED_REQUEST_HEADERS.includes(name.toLowerCase()));
+  }
+
+  /**
+   * Count a request to a host against the eval limit and the user and
+   * domain windows
+   * @throws {Error} - If any limit is reached
+   */
+  async chargeRequest(channel, hostname) {
+    const limiter = this.limiter;
+    limiter.checkEvalLimit();
+
+    // The user and domain windows are shared through the host when available,
+    // so they hold across evals and queue workers
+    const shared = this.sharedWindow ? this.sharedWindow(hostname) : null;
+    if (shared) {
+      await shared;
+    } else {
+      if (!this.localWindow) {
+        this.localWindow = new HttpRateWindow({
+          requestLimit: limiter.requestLimit,
+          requestInterval: limiter.requestInterval,
+          domains: this.domainOptions
+        });
+      }
+      await this.localWindow.request(channel, hostname, limiter.requestLimit);
+    }
+    limiter.recordRequest();
+    this.evalUsage.requests++;
+  }
+
+  /**
+   * Perform a sandbox HTTP request
+   *
+   * @param {string} url - Request URL
+   * @param {object} request - { method, headers, body, cache }
+   * @param {string} channel - Rate limit channel (user)
+   * @returns {Promise<object>} - { url, redirected, status, statusText, headers, body, cached }
+   */
+  async request(url, request, channel) {
+    const limiter = this.limiter;
+    const method = limiter.validateMethod(request.method);
+    const headers = limiter.validateHeaders(request.headers || {});
+    const body = request.body === undefined || request.body === null ? undefined : String(request.body);
+
+    if (body !== undefined) {
+      if (method === 'GET' || method === 'HEAD') {
+        throw new Error(`${method} requests cannot have a body`);
+      }
+      limiter.validatePostBody(body);
+    }
+
+    // Denied hosts fail before they use up any rate limit
+    this.ssrfGuard.checkUrl(url);
+
+    // Fresh cached responses are free: no quota, no network
+    const cacheMode = request.cache === undefined ? 'default' : String(request.cache);
+    const cacheable = this.isCacheable(method, headers, cacheMode);
+    const cached = cacheable && cacheMode !== 'reload' ? await this.cacheCall('get', url, headers) : null;
+    if (cached && cached.fresh && cacheMode === 'default') {
+      return { ...cached.response, cached: true };
+    }
+
+    this.evalUsage.bytes += body === undefined ? 0 : Buffer.byteLength(body, 'utf8');
+
+    // Every hop, redirects included, is charged to its own host and gets
+    // that host's timeout and size limit
+    const controller = new AbortController();
+    let timeoutId = null;
+    const beforeHop = async (hopUrl) => {
+      const hostname = DomainPolicy.normalize(hopUrl.hostname);
+      await this.chargeRequest(channel, hostname);
+      const config = limiter.getFetchConfig(this.domains.resolve(hostname));
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), config.timeout);
+      return { size: config.size };
+    };
+
+    try {
+      // Stale entries are revalidated with their validators
+      const validators = {};
+      if (cached && cached.etag) {
+        validators['If-None-Match'] = cached.etag;
+      }
+      if (cached && cached.lastModified) {
+        validators['If-Modified-Since'] = cached.lastModified;
+      }
+
+      const { response, url: finalUrl, redirected } = await this.ssrfGuard.fetch(url, {
+        method,
+        headers: { ...headers, ...validators },
+        body,
+        signal: controller.signal,
+        beforeHop
+      });
+
+      const text = method === 'HEAD' ? '' : await response.text();
+      this.evalUsage.bytes += Buffer.byteLength(text, 'utf8');
+
+      const responseHeaders = Object.fromEntries(response.headers.entries());
+
+      if (cached && response.status === 304) {
+        const revalidated = await this.cacheCall('revalidated', url, headers, cached, responseHeaders);
+        return { ...(revalidated || cached.response), cached: true };
+      }
+
+      const result = {
+        url: finalUrl,
+        redirected,
+        status: response.status,
+        statusText: response.statusText,
+        headers: responseHeaders,
+        body: text
+      };
+      if (cacheable) {
+        await this.cacheCall('put', url, headers, result);
+      }
+      return { ...result, cached: false };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Sandbox plugin declaration (see plugin-registry.js)
+   */
+  getPlugin() {
+    return {
+      name: 'http',
+      functions: [
+        {
+          name: '_fetch',
+          args: [
+            { name: 'url', type: 'string' },
+            { name: 'request', type: 'object', optional: true, default: {} }
+          ],
+          handler: ({ url, request }, context) => this.request(url, request, context.channel || 'default')
+        }
+      ],
+      prelude: PRELUDE,
+      startEval: () => this.startEval(),
+      usage: () => ({ httpRequests: this.evalUsage.requests, httpBytes: this.evalUsage.bytes })
+    };
+  }
+}
+
+module.exports = HttpModule;
@@ -0,0 +1,148 @@
+// Rolling-window HTTP rate limits shared by every eval
+// Counts each request against the user's window and the target domain's
+// windows (see domain-policy.js). The windows live in Redis in queue mode, so
+// all queue workers enforce the same limits, and in memory in direct/STDIO mode
+
+const crypto = require('crypto');
+const createRedisClient = require('./redis-client');
+const DomainPolicy = require('./domain-policy');
+
+// Atomic check-and-record over sorted sets of request timestamps, using the
+// Redis clock so workers with skewed clocks agree on the windows
+// KEYS = window keys, ARGV = interval (ms) and limit per key, then a unique member suffix
+// Returns 0 if the request was recorded in every window, else the 1-based
+// index of the first full window (nothing is recorded then)
+const HIT_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+for i, key in ipairs(KEYS) do
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - tonumber(ARGV[i * 2 - 1]))
+  if redis.call('ZCARD', key) >= tonumber(ARGV[i * 2]) then
+    return i
+  end
+end
+
+local member = now .. '-' .. ARGV[#KEYS * 2 + 1]
+for i, key in ipairs(KEYS) do
+  redis.call('ZADD', key, now, member)
+  redis.call('PEXPIRE', key, ARGV[i * 2 - 1])
+end
+return 0
+`;
+
+class HttpRateWindow {
+  constructor(options = {}) {
+    this.redisConfig = options.redis || null; // Redis connection settings (queue mode)
+    this.keyPrefix = options.keyPrefix || 'smegmascript:http:';
+    this.requestLimit = options.requestLimit || 25; // per user
+    this.requestInterval = options.requestInterval || 60; // seconds
+    this.domains = new DomainPolicy(options.domains); // Per-domain limits and budgets
+
+    this.redis = null;
+    this.requests = new Map(); // Memory mode: key -> { interval, times }
+    this.maxKeys = options.maxKeys || 1000; // Prune idle windows past this many
+
+    if (this.redisConfig) {
+      this.redis = createRedisClient(this.redisConfig, 'HttpWindow');
+      this.redis.defineCommand('httpWindowHit', { lua: HIT_SCRIPT });
+    }
+  }
+
+  /**
+   * Count a request by a user to a host against every window it falls in
+   *
+   * @param {string} channel - Rate limit channel (user)
+   * @param {string} hostname - Target host
+   * @param {number} limit - Requests the user may make per window (their tier)
+   * @throws {Error} - If any window is full (nothing is counted then), or Redis is unreachable
+   */
+  async request(channel = 'default', hostname, limit = this.requestLimit) {
+    const windows = [
+      { key: `user:${channel}`, limit, interval: this.requestInterval, label: '' },
+      ...this.domains.windows(hostname, channel)
+    ];
+
+    const full = await this.hit(windows);
+    if (full) {
+      const label = full.label ? ` ${full.label}` : '';
+      throw new Error(`Too many HTTP requests${label} (max ${full.limit} requests in ${full.interval} seconds)`);
+    }
+  }
+
+  /**
+   * Record a request in all windows at once, unless one of them is full
+   *
+   * @param {Array<object>} windows - [{ key, limit, interval }], interval in seconds
+   * @returns {Promise<object|null>} - The first full window, or null if recorded
+   */
+  async hit(windows) {
+    if (this.redis) {
+      let full;
+      try {
+        full = await this.redis.httpWindowHit(
+          windows.length,
+          ...windows.map(w => this.keyPrefix + w.key),
+          ...windows.flatMap(w => [w.interval * 1000, w.limit]),
+          crypto.randomBytes(6).toString('hex')
+        );
+      } catch (error) {
+        console.error('[HttpWindow] Rate limit check failed:', error.message);
+        throw new Error('HTTP rate limiter unavailable, try again later');
+      }
+      return full ? windows[full - 1] : null;
+    }
+
+    const now = Date.now();
+    const recent = windows.map(w => {
+      const entry = this.requests.get(w.key);
+      return entry ? entry.times.filter(t => t > now - w.interval * 1000) : [];
+    });
+
+    const full = windows.findIndex((w, i) => recent[i].length >= w.limit);
+    windows.forEach((w, i) => {
+      if (full === -1) {
+        recent[i].push(now);
+      }
+      this.requests.set(w.key, { interval: w.interval * 1000, times: recent[i] });
+    });
+
+    if (this.requests.size > this.maxKeys) {
+      this.prune();
+    }
+    return full === -1 ? null : windows[full];
+  }
+
+  /**
+   * Drop windows whose requests have all expired (memory mode)
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, { interval, times }] of this.requests) {
+      if (times.every(t => t <= now - interval)) {
+        this.requests.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Host functions for the sandbox fetch plugin
+   * The channel and limit always come from the task context, never from sandbox code
+   */
+  getHostHandlers() {
+    return {
+      'http.request': ([hostname], caller) => this.request(caller.channel, String(hostname), caller.limits.httpRequestLimit)
+    };
+  }
+
+  /**
+   * Close the Redis connection
+   */
+  async close() {
+    if (this.redis) {
+      await this.redis.quit();
+    }
+  }
+}
+
+module.exports = HttpRateWindow;
@@ -3,19 +3,42 @@
 // STDIO interface for collaborative coding
 
 const readline = require('readline');
-const Sandbox = require('./sandbox');
-
-// Create sandbox instance
-const sandbox = new Sandbox({
-  timeout: 5000,        // 5 second timeout
-  memoryLimit: 128,     // 128MB memory limit
-  httpLimits: {
-    requestsPerEval: 5,
-    requestInterval: 60,
-    requestLimit: 25,
-    postLimit: 150000,
-    transferLimit: 150000,
-    timeLimit: 5000
+const fs = require('fs');
+const os = require('os');
+const SandboxPool = require('./sandbox-pool');
+const StateStore = require('./state-store');
+const SharedNamespace = require('./shared-namespace');
+const UserStore = require('./user-store');
+const path = require('path');
+
+const userStore = new UserStore({ file: path.join(__dirname, 'store.json') }); // Per-user key-value store
+
+// Create sandbox pool (a single worker thread is enough for the REPL)
+const sandbox = new SandboxPool({
+  size: 1,
+  stateStore: new StateStore(), // Keep definitions between lines
+  namespace: new SharedNamespace(),
+  userStore,
+  sandboxOptions: {
+    timeout: 5000,        // 5 second timeout
+    memoryLimit: 128,     // 128MB memory limit
+    inspect: {            // Roomier result formatting than Bluesky replies
+      depth: 4,
+      maxArrayLength: 100,
+      maxStringLength: 10000,
+      breakLength: 80,
+      maxStackLines: 10
+    },
+    httpLimits: {
+      requestsPerEval: 5,
+      requestInterval: 60,
+      requestLimit: 25,
+      postLimit: 150000,
+      transferLimit: 150000,
+      timeLimit: 5000
+    },
+    // MARKET_PROVIDERS=fixture serves stock data from market-fixtures.json offline
+    marketProviders: (process.env.MARKET_PROVIDERS || 'yahoo').split(',')
   }
 });
 
@@ -28,7 +51,7 @@ const rl = readline.createInterface({
 
 console.log('smegmascript - Safe JavaScript eval bot');
 console.log('Type JavaScript code to execute, or "quit" to exit');
-console.log('Available globals: console.log, fetch(url), post(url, body)');
+console.log('Available globals: console, fetch(url, options), post(url, body), setTimeout/setInterval, chartImage(data, options), store, reset()');
 console.log('');
 
 rl.prompt();
@@ -39,6 +62,7 @@ rl.on('line', async (line) => {
   // Handle quit command
   if (input === 'quit' || input === 'exit') {
     console.log('Goodbye!');
+    await userStore.close(); // Write pending store changes
     process.exit(0);
   }
 
@@ -51,22 +75,41 @@ rl.on('line', async (line) => {
   // Execute code in sandbox
   try {
     const result = await sandbox.execute(input, {
-      channel: 'stdio'
+      channel: 'stdio',
+      stateKey: 'stdio',
+      author: 'stdio',
+      isAdmin: true // Local user owns everything
     });
 
-    if (result.success) {
-      // Print captured console.log output
-      if (result.output) {
-        console.log(result.output);
+    // Print captured console output on the matching stream
+    for (const entry of result.logs || []) {
+      if (entry.level === 'error' || entry.level === 'trace') {
+        console.error(entry.text);
+      } else if (entry.level === 'warn') {
+        console.warn(entry.text);
+      } else {
+        console.log(entry.text);
       }
+    }
 
-      // Print return value if it exists and is not undefined
-      if (result.result !== undefined) {
-        console.log('=>', typeof result.result === 'object' ? JSON.stringify(result.result, null, 2) : result.result);
+    if (result.success) {
+
+      // Print the inspected return value unless it is undefined
+      if (result.resultType === 'rejected') {
+        console.log(result.display);
+      } else if (result.resultType !== 'undefined') {
+        console.log('=>', result.display);
       }
     } else {
       console.log('Error:', result.error);
     }
+
+    // Chart images would be attached to a Bluesky reply; save them instead
+    (result.images || []).forEach((image, index) => {
+      const file = path.join(os.tmpdir(), `smegmascript-chart-${Date.now()}-${index + 1}.png`);
+      fs.writeFileSync(file, image.data);
+      console.log(`[image: ${file}] ${image.alt}`);
+    });
   } catch (error) {
     console.log('Fatal error:', error.message);
     console.error(error.stack);
@@ -75,8 +118,9 @@ rl.on('line', async (line) => {
   rl.prompt();
 });
 
-rl.on('close', () => {
+rl.on('close', async () => {
   console.log('\nGoodbye!');
+  await userStore.close();
   process.exit(0);
 });
 
@@ -0,0 +1,176 @@
+// Technical indicators for price series
+// SMA, EMA, RSI, MACD, Bollinger bands and percent return, computed on the
+// host for the sandbox's indicator() function. Series line up with the input:
+// points without enough history (or without a value) are null
+
+const ChartValues = require('./chart-values');
+
+// Indicator names and their default options
+const DEFAULTS = {
+  sma: { period: 20 },
+  ema: { period: 20 },
+  rsi: { period: 14 },
+  macd: { fast: 12, slow: 26, signal: 9 },
+  bollinger: { period: 20, deviations: 2 },
+  return: {}
+};
+
+class Indicators {
+  static get names() {
+    return Object.keys(DEFAULTS);
+  }
+
+  /**
+   * Compute an indicator
+   *
+   * @param {string} name - One of Indicators.names
+   * @param {Array<number|object>} items - Numbers, or objects with close/value (or options.key)
+   * @param {object} options - Periods etc., see DEFAULTS
+   * @returns {Array|object|number|null} - A series, { name: series } for
+   *   MACD and Bollinger bands, or a number for return
+   * @throws {RangeError} - If an option is out of range
+   */
+  static compute(name, items, options = {}) {
+    const settings = { ...DEFAULTS[name] };
+    for (const option of Object.keys(settings)) {
+      if (options[option] !== undefined) {
+        settings[option] = Indicators.checkOption(name, option, options[option]);
+      }
+    }
+
+    const values = ChartValues.toValues(items, options.key);
+    switch (name) {
+      case 'sma': return Indicators.round(Indicators.sma(values, settings.period));
+      case 'ema': return Indicators.round(Indicators.ema(values, settings.period));
+      case 'rsi': return Indicators.round(Indicators.rsi(values, settings.period));
+      case 'macd': return Indicators.roundAll(Indicators.macd(values, settings));
+      case 'bollinger': return Indicators.roundAll(Indicators.bollinger(values, settings));
+      default: return Indicators.round([Indicators.percentReturn(values)])[0];
+    }
+  }
+
+  static checkOption(name, option, value) {
+    const max = option === 'deviations' ? 10 : 1000;
+    const valid = option === 'deviations' ? typeof value === 'number' && value > 0 && value <= max
+      : Number.isInteger(value) && value >= 1 && value <= max;
+    if (!valid) {
+      throw new RangeError(`indicator(): ${name} ${option} must be ${option === 'deviations' ? 'a number' : 'an integer'} from 1 to ${max}`);
+    }
+    return value;
+  }
+
+  /**
+   * Run fn on the non-null values only, then put its output back in place
+   */
+  static compact(values, fn) {
+    const present = values.filter(v => v !== null);
+    const output = fn(present);
+    let next = 0;
+    return values.map(v => (v === null ? null : output[next++]));
+  }
+
+  static round(series) {
+    return series.map(v => (v === null || v === undefined ? null : Math.round(v * 1e4) / 1e4));
+  }
+
+  static roundAll(object) {
+    return Object.fromEntries(Object.entries(object).map(([name, series]) => [name, Indicators.round(series)]));
+  }
+
+  /**
+   * Simple moving average
+   */
+  static sma(values, period) {
+    return Indicators.compact(values, (v) => {
+      let sum = 0;
+      return v.map((value, i) => {
+        sum += value - (i >= period ? v[i - period] : 0);
+        return i >= period - 1 ? sum / period : null;
+      });
+    });
+  }
+
+  /**
+   * Exponential moving average, seeded with the SMA of the first period values
+   */
+  static ema(values, period) {
+    return Indicators.compact(values, (v) => {
+      const k = 2 / (period + 1);
+      let ema = null;
+      return v.map((value, i) => {
+        if (i < period - 1) return null;
+        ema = ema === null
+          ? v.slice(0, period).reduce((sum, x) => sum + x, 0) / period
+          : value * k + ema * (1 - k);
+        return ema;
+      });
+    });
+  }
+
+  /**
+   * Relative strength index with Wilder's smoothing
+   */
+  static rsi(values, period) {
+    return Indicators.compact(values, (v) => {
+      let gain = 0;
+      let loss = 0;
+      return v.map((value, i) => {
+        if (i === 0) return null;
+        const change = value - v[i - 1];
+        if (i <= period) {
+          gain += Math.max(change, 0) / period;
+          loss += Math.max(-change, 0) / period;
+          if (i < period) return null;
+        } else {
+          gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+          loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+        }
+        return loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+      });
+    });
+  }
+
+  /**
+   * Moving average convergence/divergence: { macd, signal, histogram }
+   */
+  static macd(values, { fast, slow, signal }) {
+    const fastEma = Indicators.ema(values, fast);
+    const slowEma = Indicators.ema(values, slow);
+    const macd = values.map((_, i) => (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+    const signalLine = Indicators.ema(macd, signal);
+    const histogram = macd.map((m, i) => (m === null || signalLine[i] === null ? null : m - signalLine[i]));
+    return { macd, signal: signalLine, histogram };
+  }
+
+  /**
+   * Bollinger bands: { middle, upper, lower }, the SMA plus and minus
+   * deviations times the population standard deviation
+   */
+  static bollinger(values, { period, deviations }) {
+    const middle = Indicators.sma(values, period);
+    const spread = Indicators.compact(values, v => v.map((_, i) => {
+      if (i < period - 1) return null;
+      const window = v.slice(i - period + 1, i + 1);
+      const mean = window.reduce((sum, x) => sum + x, 0) / period;
+      return deviations * Math.sqrt(window.reduce((sum, x) => sum + (x - mean) ** 2, 0) / period);
+    }));
+    return {
+      middle,
+      upper: middle.map((m, i) => (m === null ? null : m + spread[i])),
+      lower: middle.map((m, i) => (m === null ? null : m - spread[i]))
+    };
+  }
+
+  /**
+   * Percent change from the first value to the last (null from zero or no data)
+   */
+  static percentReturn(values) {
+    const present = values.filter(v => v !== null);
+    if (present.length === 0 || present[0] === 0) {
+      return null;
+    }
+    return ((present[present.length - 1] - present[0]) / Math.abs(present[0])) * 100;
+  }
+}
+
+module.exports = Indicators;
@@ -0,0 +1,349 @@
+// Value inspector in the style of Node's util.inspect
+// Runs inside the QuickJS sandbox (the function is injected as source),
+// so it must stay self-contained: no closures over module scope
+
+/**
+ * Inspect a value and describe its type
+ *
+ * @param {*} value - Value to inspect
+ * @param {object} options - { depth, maxArrayLength, maxStringLength, breakLength, maxStackLines }
+ * @returns {object} - { text, type, className }
+ */
+function inspectResult(value, options = {}) {
+  const depthLimit = options.depth !== undefined ? options.depth : 2;
+  const maxArrayLength = options.maxArrayLength !== undefined ? options.maxArrayLength : 20;
+  const maxStringLength = options.maxStringLength !== undefined ? options.maxStringLength : 200;
+  const breakLength = options.breakLength !== undefined ? options.breakLength : 60;
+  const maxStackLines = options.maxStackLines !== undefined ? options.maxStackLines : 3;
+
+  const toStringTag = (v) => Object.prototype.toString.call(v).slice(8, -1);
+
+  const quote = (str) => {
+    if (str.length > maxStringLength) {
+      const more = str.length - maxStringLength;
+      return quote(str.slice(0, maxStringLength)) + `... ${more} more character${more > 1 ? 's' : ''}`;
+    }
+    const q = !str.includes("'") ? "'" : !str.includes('"') ? '"' : !str.includes('`') ? '`' : "'";
+    const escaped = str.replace(/[\\\n\r\t\b\f\v\0]/g, (c) => ({
+      '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t', '\b': '\\b', '\f': '\\f', '\v': '\\v', '\0': '\\0'
+    })[c]);
+    return q + (q === "'" ? escaped.replace(/'/g, "\\'") : escaped) + q;
+  };
+
+  const formatKey = (key) => {
+    if (typeof key === 'symbol') {
+      return `[${String(key)}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+  };
+
+  const constructorName = (v) => {
+    try {
+      const proto = Object.getPrototypeOf(v);
+      if (proto === null) {
+        return null;
+      }
+      const ctor = proto.constructor;
+      return typeof ctor === 'function' && ctor.name ? ctor.name : '';
+    } catch (e) {
+      return '';
+    }
+  };
+
+  const formatFunction = (fn) => {
+    let source = '';
+    try {
+      source = Function.prototype.toString.call(fn);
+    } catch (e) {
+      // Ignore
+    }
+    const name = fn.name ? `: ${fn.name}` : ' (anonymous)';
+    if (/^class\b/.test(source)) {
+      return fn.name ? `[class ${fn.name}]` : '[class (anonymous)]';
+    }
+    const kind = toStringTag(fn) === 'AsyncFunction' ? 'AsyncFunction'
+      : toStringTag(fn) === 'GeneratorFunction' ? 'GeneratorFunction'
+        : toStringTag(fn) === 'AsyncGeneratorFunction' ? 'AsyncGeneratorFunction'
+          : 'Function';
+    return `[${kind}${name}]`;
+  };
+
+  const formatError = (err) => {
+    let name = 'Error';
+    let message = '';
+    let stack = '';
+    try {
+      name = err.name || constructorName(err) || 'Error';
+      message = err.message === undefined ? '' : String(err.message);
+      stack = typeof err.stack === 'string' ? err.stack : '';
+    } catch (e) {
+      // Ignore
+    }
+    const head = message ? `${name}: ${message}` : name;
+    const frames = stack.split('\n').map(l => l.trim()).filter(Boolean).slice(0, maxStackLines);
+    return frames.length > 0 ? `${head}\n    ${frames.join('\n    ')}` : head;
+  };
+
+  // Cyclic references: ancestors currently being formatted -> ref number
+  const seen = [];
+  const refs = new Map();
+  let nextRef = 1;
+
+  const join = (prefix, parts, open, close, indent, group) => {
+    if (parts.length === 0) {
+      return `${prefix}${open}${close}`;
+    }
+    const single = `${prefix}${open} ${parts.join(', ')} ${close}`;
+    if (single.length <= breakLength && !parts.some(p => p.includes('\n'))) {
+      return single;
+    }
+    const pad = '  '.repeat(indent + 1);
+
+    // Runs of short array items are packed several per line, like Node does
+    if (group && parts.length > 6 && parts.every(p => p.length <= 6 || p.startsWith('... '))) {
+      const lines = [];
+      let line = '';
+      for (const part of parts) {
+        if (line && pad.length + line.length + part.length + 2 > breakLength) {
+          lines.push(line);
+          line = '';
+        }
+        line += line ? ` ${part},` : `${part},`;
+      }
+      lines.push(line.slice(0, -1));
+      return `${prefix}${open}\n${pad}${lines.join(`\n${pad}`)}\n${'  '.repeat(indent)}${close}`;
+    }
+
+    return `${prefix}${open}\n${pad}${parts.join(`,\n${pad}`)}\n${'  '.repeat(indent)}${close}`;
+  };
+
+  const formatProperties = (obj, keys, depth) => {
+    const parts = [];
+    for (const key of keys) {
+      let desc;
+      try {
+        desc = Object.getOwnPropertyDescriptor(obj, key);
+      } catch (e) {
+        continue;
+      }
+      if (!desc) {
+        continue;
+      }
+      let formatted;
+      if (desc.get || desc.set) {
+        formatted = desc.get && desc.set ? '[Getter/Setter]' : desc.get ? '[Getter]' : '[Setter]';
+      } else {
+        formatted = format(desc.value, depth + 1);
+      }
+      parts.push(`${formatKey(key)}: ${formatted}`);
+    }
+    return parts;
+  };
+
+  const ownKeys = (obj, skip) => {
+    const keys = [];
+    try {
+      for (const key of Object.keys(obj)) {
+        if (!skip || !skip(key)) keys.push(key);
+      }
+      for (const sym of Object.getOwnPropertySymbols(obj)) {
+        if (Object.prototype.propertyIsEnumerable.call(obj, sym)) keys.push(sym);
+      }
+    } catch (e) {
+      // Ignore
+    }
+    return keys;
+  };
+
+  const format = (v, depth) => {
+    switch (typeof v) {
+      case 'undefined':
+        return 'undefined';
+      case 'boolean':
+        return String(v);
+      case 'number':
+        return Object.is(v, -0) ? '-0' : String(v);
+      case 'bigint':
+        return `${v}n`;
+      case 'string':
+        return quote(v);
+      case 'symbol':
+        return String(v);
+      case 'function':
+        return formatFunction(v);
+    }
+
+    if (v === null) {
+      return 'null';
+    }
+
+    if (seen.includes(v)) {
+      if (!refs.has(v)) {
+        refs.set(v, nextRef++);
+      }
+      return `[Circular *${refs.get(v)}]`;
+    }
+
+    // Objects can describe themselves, like with Node's util.inspect.custom
+    let custom;
+    try {
+      custom = v[Symbol.for('nodejs.util.inspect.custom')];
+    } catch (e) {
+      // Ignore
+    }
+    if (typeof custom === 'function') {
+      try {
+        const described = custom.call(v, depthLimit - depth, options, (x) => format(x, depth));
+        if (typeof described === 'string') {
+          return described;
+        }
+        if (described !== v) {
+          return format(described, depth);
+        }
+      } catch (e) {
+        // Fall back to the default formatting
+      }
+    }
+
+    const tag = toStringTag(v);
+    const ctor = constructorName(v);
+
+    if (tag === 'Date') {
+      const time = Date.prototype.getTime.call(v);
+      return isNaN(time) ? 'Invalid Date' : Date.prototype.toISOString.call(v);
+    }
+    if (tag === 'RegExp') {
+      return RegExp.prototype.toString.call(v);
+    }
+    if (tag === 'Error' || v instanceof Error) {
+      return formatError(v);
+    }
+    if (tag === 'Promise') {
+      return 'Promise {}';
+    }
+    if (tag === 'WeakMap' || tag === 'WeakSet') {
+      return `${tag} { <items unknown> }`;
+    }
+    if (tag === 'Number' || tag === 'String' || tag === 'Boolean' || tag === 'BigInt' || tag === 'Symbol') {
+      return `[${tag}: ${format(v.valueOf(), depth)}]`;
+    }
+    if (tag === 'ArrayBuffer') {
+      return `ArrayBuffer { byteLength: ${v.byteLength} }`;
+    }
+
+    const isArray = Array.isArray(v);
+    const isTyped = ArrayBuffer.isView(v) && tag !== 'DataView';
+    const isMap = tag === 'Map';
+    const isSet = tag === 'Set';
+
+    let prefix;
+    if (isArray) {
+      prefix = ctor === 'Array' ? '' : `${ctor || '[Array: null prototype]'}(${v.length}) `;
+    } else if (isTyped) {
+      prefix = `${tag}(${v.length}) `;
+    } else if (isMap || isSet) {
+      prefix = `${ctor || tag}(${v.size}) `;
+    } else if (ctor === null) {
+      prefix = '[Object: null prototype] ';
+    } else if (ctor === 'Object' || ctor === '') {
+      prefix = '';
+    } else {
+      prefix = `${ctor} `;
+    }
+
+    if (depth > depthLimit) {
+      if (isArray) return '[Array]';
+      if (isMap || isSet) return `[${ctor || tag}]`;
+      return `[${ctor || 'Object'}]`;
+    }
+
+    seen.push(v);
+    const indent = seen.length - 1;
+    let result;
+
+    try {
+      if (isArray || isTyped) {
+        const parts = [];
+        const shown = Math.min(v.length, maxArrayLength);
+        let holes = 0;
+        for (let i = 0; i < shown; i++) {
+          if (!isTyped && !Object.prototype.hasOwnProperty.call(v, i)) {
+            holes++;
+            continue;
+          }
+          if (holes > 0) {
+            parts.push(`<${holes} empty item${holes > 1 ? 's' : ''}>`);
+            holes = 0;
+          }
+          parts.push(format(v[i], depth + 1));
+        }
+        if (holes > 0) {
+          parts.push(`<${holes} empty item${holes > 1 ? 's' : ''}>`);
+        }
+        if (v.length > shown) {
+          const more = v.length - shown;
+          parts.push(`... ${more} more item${more > 1 ? 's' : ''}`);
+        }
+        const extra = isArray ? ownKeys(v, key => /^\d+$/.test(key)) : [];
+        parts.push(...formatProperties(v, extra, depth));
+        result = join(prefix, parts, '[', ']', indent, true);
+      } else if (isMap || isSet) {
+        const parts = [];
+        let count = 0;
+        for (const entry of v) {
+          if (count++ >= maxArrayLength) {
+            const more = v.size - maxArrayLength;
+            parts.push(`... ${more} more item${more > 1 ? 's' : ''}`);
+            break;
+          }
+          parts.push(isMap
+            ? `${format(entry[0], depth + 1)} => ${format(entry[1], depth + 1)}`
+            : format(entry, depth + 1));
+        }
+        parts.push(...formatProperties(v, ownKeys(v), depth));
+        result = join(prefix, parts, '{', '}', indent);
+      } else {
+        result = join(prefix, formatProperties(v, ownKeys(v), depth), '{', '}', indent);
+      }
+    } finally {
+      seen.pop();
+    }
+
+    if (refs.has(v)) {
+      result = `<ref *${refs.get(v)}> ${result}`;
+    }
+
+    return result;
+  };
+
+  const describe = (v) => {
+    if (v === null) {
+      return { type: 'null', className: null };
+    }
+    if (typeof v !== 'object') {
+      return { type: typeof v, className: null };
+    }
+    const tag = toStringTag(v);
+    if (Array.isArray(v)) {
+      return { type: 'array', className: constructorName(v) || null };
+    }
+    if (tag === 'Error' || v instanceof Error) {
+      return { type: 'error', className: constructorName(v) || null };
+    }
+    if (['Map', 'Set', 'Date', 'RegExp', 'Promise'].includes(tag)) {
+      return { type: tag.toLowerCase(), className: constructorName(v) || null };
+    }
+    return { type: 'object', className: constructorName(v) };
+  };
+
+  let text;
+  try {
+    text = format(value, 0);
+  } catch (e) {
+    text = `[Uninspectable: ${e && e.message}]`;
+  }
+
+  return { text, ...describe(value) };
+}
+
+module.exports = inspectResult;
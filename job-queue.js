@@ -23,7 +23,7 @@ class JobQueue {
 
   /**
    * Initialize the queue and worker
-   * @param {Function} processor - Async function to process jobs
+   * @param {Function} processor - Async function to process jobs (data, name)
    */
   async init(processor) {
     if (this.queue) {
@@ -54,7 +54,7 @@ class JobQueue {
         async (job) => {
           console.log(`[Queue] Processing job ${job.id} from ${job.data.author}`);
           try {
-            await processor(job.data);
+            await processor(job.data, job.name);
             console.log(`[Queue] Completed job ${job.id}`);
           } catch (error) {
             console.error(`[Queue] Failed job ${job.id}:`, error.message);
@@ -114,6 +114,50 @@ class JobQueue {
     return job;
   }
 
+  /**
+   * Add a scheduled job, delivered to the processor under the name 'scheduled'
+   * @param {string} id - Schedule ID (one job or job scheduler per schedule)
+   * @param {object} data - Job data
+   * @param {object} schedule - { delay } for a single run, or { every } / { pattern, tz } to repeat
+   */
+  async addScheduled(id, data, schedule) {
+    if (!this.queue) {
+      throw new Error('Queue not initialized');
+    }
+
+    const jobId = `schedule-${id}`;
+    const opts = {
+      attempts: 1, // A retried run would post a second reply
+      removeOnComplete: true,
+      removeOnFail: 100
+    };
+
+    if (schedule.delay !== undefined) {
+      await this.queue.add('scheduled', data, { ...opts, jobId, delay: schedule.delay });
+    } else {
+      const repeat = schedule.every ? { every: schedule.every } : { pattern: schedule.pattern, tz: schedule.tz };
+      await this.queue.upsertJobScheduler(jobId, repeat, { name: 'scheduled', data, opts });
+    }
+    console.log(`[Queue] Scheduled ${jobId}`);
+  }
+
+  /**
+   * Remove a scheduled job and any pending run of it
+   */
+  async removeScheduled(id) {
+    if (!this.queue) {
+      return;
+    }
+
+    const jobId = `schedule-${id}`;
+    await this.queue.removeJobScheduler(jobId);
+    const job = await this.queue.getJob(jobId);
+    if (job) {
+      await job.remove();
+    }
+    console.log(`[Queue] Unscheduled ${jobId}`);
+  }
+
   /**
    * Get queue statistics
    */
@@ -0,0 +1,52 @@
+// Debounced JSON file writes
+// Coalesces a store's saves into one asynchronous write per delay, so a busy
+// store doesn't synchronously rewrite its whole file on every change
+
+const JsonFile = require('./json-file');
+
+class JsonFileWriter {
+  /**
+   * @param {string} file - File path
+   * @param {string} tag - Log tag of the owning store, e.g. 'Store'
+   * @param {Function} snapshot - () => the data to write, called once per write
+   * @param {object} options - { delay } in ms
+   */
+  constructor(file, tag, snapshot, options = {}) {
+    this.file = file;
+    this.tag = tag;
+    this.snapshot = snapshot;
+    this.delay = options.delay !== undefined ? options.delay : 1000;
+
+    this.timer = null; // Pending write
+    this.writing = Promise.resolve(); // Tail of the write chain, so writes never overlap
+  }
+
+  /**
+   * Write the file after the delay, unless a write is already pending
+   */
+  schedule() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setTimeout(() => this.flush(), this.delay);
+    this.timer.unref(); // Don't keep the process alive; close() flushes
+  }
+
+  /**
+   * Write the file now if a write is pending
+   * @returns {Promise<void>} - Resolves once the file is written
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.writing = this.writing.then(() => JsonFile.write(this.file, this.snapshot())).catch((error) => {
+        console.error(`[${this.tag}] Error saving ${this.file}:`, error.message);
+      });
+    }
+    return this.writing;
+  }
+}
+
+module.exports = JsonFileWriter;
@@ -0,0 +1,52 @@
+// JSON persistence files
+// Shared by the stores that keep their data in a file in direct/STDIO mode
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonFile {
+  /**
+   * Read and parse a JSON file
+   *
+   * @param {string} file - File path
+   * @param {string} tag - Log tag of the caller, e.g. 'Store'
+   * @returns {*} - The parsed data, or null if the file is missing or unreadable
+   */
+  static load(file, tag) {
+    if (!file || !fs.existsSync(file)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`[${tag}] Error loading ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write data as JSON to a temporary file, then rename it over the file,
+   * so a crash mid-write never leaves a truncated file behind
+   *
+   * @param {string} file - File path
+   * @param {*} data - JSON-serializable data
+   * @param {number} space - Indentation, for files people edit by hand
+   */
+  static save(file, data, space) {
+    const tmpFile = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, space));
+    fs.renameSync(tmpFile, file);
+  }
+
+  /**
+   * Like save, without blocking the event loop (see json-file-writer.js)
+   */
+  static async write(file, data, space) {
+    const tmpFile = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+    await fs.promises.writeFile(tmpFile, JSON.stringify(data, null, space));
+    await fs.promises.rename(tmpFile, file);
+  }
+}
+
+module.exports = JsonFile;
@@ -0,0 +1,96 @@
+// Market data from an ordered list of providers with failover
+// Each provider implements quote(symbol), quotes(symbols), chart(symbol,
+// { start, end, interval }) and search(query), returning the shapes of
+// yahoo-provider.js. When a provider fails the next one is tried, and the
+// failed provider is skipped for a while; errors marked notFound (unknown
+// symbols) try the next provider without counting as a failure
+
+const YahooProvider = require('./yahoo-provider');
+const FixtureProvider = require('./fixture-provider');
+
+// Provider constructors by config name
+const PROVIDERS = {
+  yahoo: YahooProvider,
+  fixture: FixtureProvider
+};
+
+// Chains shared by every sandbox in a thread, so failover state and provider
+// clients outlive the one-eval sandboxes: config JSON -> MarketData
+const sharedChains = new Map();
+
+class MarketData {
+  constructor(options = {}) {
+    this.providers = options.providers || [new YahooProvider()];
+    this.retryAfter = options.retryAfter || 30000; // ms a failed provider is skipped
+    this.failedUntil = new Map(); // provider name -> timestamp
+  }
+
+  /**
+   * Build (or reuse) a chain from config
+   *
+   * @param {Array<string|object>} config - Provider names or { name, ...options },
+   *   e.g. ['yahoo', { name: 'fixture', file: 'market-fixtures.json' }]
+   * @returns {MarketData}
+   */
+  static fromConfig(config = ['yahoo']) {
+    const key = JSON.stringify(config);
+    if (!sharedChains.has(key)) {
+      const providers = config.map((entry) => {
+        const { name, ...options } = typeof entry === 'string' ? { name: entry } : entry;
+        const Provider = PROVIDERS[name];
+        if (!Provider) {
+          throw new Error(`Unknown market data provider: ${name} (available: ${Object.keys(PROVIDERS).join(', ')})`);
+        }
+        return new Provider(options);
+      });
+      sharedChains.set(key, new MarketData({ providers }));
+    }
+    return sharedChains.get(key);
+  }
+
+  /**
+   * Run an operation on the first provider that succeeds
+   * @throws {Error} - The first provider's error if every provider failed
+   */
+  async call(operation, ...args) {
+    const now = Date.now();
+    let available = this.providers.filter(p => !(this.failedUntil.get(p.name) > now));
+    if (available.length === 0) {
+      available = this.providers; // Everything is down: try them all anyway
+    }
+
+    let firstError = null;
+    for (const provider of available) {
+      try {
+        const result = await provider[operation](...args);
+        this.failedUntil.delete(provider.name);
+        return result;
+      } catch (error) {
+        firstError = firstError || error;
+        if (!error.notFound && this.providers.length > 1) {
+          console.error(`[Market] ${provider.name} ${operation} failed: ${error.message}`);
+          this.failedUntil.set(provider.name, now + this.retryAfter);
+        }
+      }
+    }
+    throw firstError;
+  }
+
+  quote(symbol) {
+    return this.call('quote', symbol);
+  }
+
+  quotes(symbols) {
+    return this.call('quotes', symbols);
+  }
+
+  chart(symbol, options) {
+    return this.call('chart', symbol, options);
+  }
+
+  search(query) {
+    return this.call('search', query);
+  }
+}
+
+module.exports = MarketData;
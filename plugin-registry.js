@@ -0,0 +1,225 @@
+// Host-function plugins for the sandbox
+// A plugin declares sandbox globals (argument schema, per-eval quota, async
+// handler) and may report per-eval usage; the registry validates and counts
+// calls, while the sandbox does the marshalling
+
+const path = require('path');
+
+const NAME_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const ARG_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'any'];
+
+class PluginRegistry {
+  constructor(plugins = []) {
+    this.functions = new Map(); // global name -> { plugin, name, args, quota, pure, handler }
+    this.plugins = [];
+    this.calls = new Map(); // global name -> calls this eval
+    this.context = {};
+    this.fixtures = null; // FixtureStore replaying calls in deterministic evals
+
+    for (const plugin of plugins) {
+      this.register(plugin);
+    }
+  }
+
+  /**
+   * Load plugins listed in config.json
+   * Each entry is a module path, or { module, options }; the module exports
+   * a plugin object or a factory (options) => plugin
+   *
+   * @param {Array} specs - Plugin entries
+   * @param {string} baseDir - Directory relative module paths resolve from
+   * @returns {Array} - Plugin objects
+   */
+  static load(specs = [], baseDir = process.cwd()) {
+    return specs.map((spec) => {
+      const { module: modulePath, options = {} } = typeof spec === 'string' ? { module: spec } : spec;
+      const resolved = modulePath.startsWith('.') ? path.resolve(baseDir, modulePath) : modulePath;
+      const exported = require(resolved);
+      return typeof exported === 'function' ? exported(options) : exported;
+    });
+  }
+
+  /**
+   * Add a plugin, checking its declarations
+   * @throws {Error} - If a declaration is malformed or a name is taken
+   */
+  register(plugin) {
+    const pluginName = plugin.name || 'plugin';
+    if (!Array.isArray(plugin.functions)) {
+      throw new Error(`Plugin ${pluginName} must declare a functions array`);
+    }
+
+    for (const fn of plugin.functions) {
+      if (typeof fn.name !== 'string' || !NAME_PATTERN.test(fn.name)) {
+        throw new Error(`Plugin ${pluginName} declares an invalid function name: ${fn.name}`);
+      }
+      if (this.functions.has(fn.name)) {
+        throw new Error(`Plugin ${pluginName} redeclares ${fn.name}`);
+      }
+      if (typeof fn.handler !== 'function') {
+        throw new Error(`Plugin ${pluginName} function ${fn.name} has no handler`);
+      }
+
+      const args = fn.args || [];
+      args.forEach((arg, index) => {
+        if (!arg.name || !ARG_TYPES.includes(arg.type || 'any')) {
+          throw new Error(`Plugin ${pluginName} function ${fn.name} has an invalid argument schema`);
+        }
+        if (arg.rest && index !== args.length - 1) {
+          throw new Error(`Plugin ${pluginName} function ${fn.name}: only the last argument can be rest`);
+        }
+      });
+
+      this.functions.set(fn.name, {
+        plugin: pluginName,
+        name: fn.name,
+        args,
+        quota: fn.quota || null,
+        pure: fn.pure || false, // Depends only on its arguments, so never served from fixtures
+        handler: fn.handler
+      });
+    }
+
+    this.plugins.push(plugin);
+  }
+
+  /**
+   * Start a new eval: reset quotas and let plugins reset their own state
+   * @param {object} context - Eval context handed to handlers ({ channel, author, ... })
+   */
+  startEval(context = {}) {
+    this.context = context;
+    this.calls.clear();
+    for (const plugin of this.plugins) {
+      if (typeof plugin.startEval === 'function') {
+        plugin.startEval(context);
+      }
+    }
+  }
+
+  /**
+   * Resource usage plugins report for the current eval, merged
+   * @returns {object} - e.g. { httpRequests, httpBytes, stockCalls }
+   */
+  usage() {
+    const usage = {};
+    for (const plugin of this.plugins) {
+      if (typeof plugin.usage === 'function') {
+        Object.assign(usage, plugin.usage());
+      }
+    }
+    return usage;
+  }
+
+  /**
+   * Serve calls from recorded fixtures instead of the handlers (null to stop)
+   * Arguments are still validated and counted against quotas; pure functions
+   * keep running their handlers
+   */
+  useFixtures(fixtures) {
+    this.fixtures = fixtures;
+  }
+
+  /**
+   * Check one argument against its schema entry
+   */
+  checkArg(fnName, arg, value) {
+    const type = arg.type || 'any';
+    const ok = type === 'any' ||
+      (type === 'integer' ? Number.isInteger(value)
+        : type === 'array' ? Array.isArray(value)
+          : type === 'object' ? value !== null && typeof value === 'object' && !Array.isArray(value)
+            : typeof value === type);
+
+    if (!ok) {
+      throw new TypeError(`${fnName}(): ${arg.name} must be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`);
+    }
+    if (arg.enum && !arg.enum.includes(value)) {
+      throw new RangeError(`${fnName}(): ${arg.name} must be one of ${arg.enum.join(', ')}`);
+    }
+    if (arg.maxLength !== undefined && value.length > arg.maxLength) {
+      throw new RangeError(`${fnName}(): ${arg.name} is too long (max ${arg.maxLength})`);
+    }
+    return value;
+  }
+
+  /**
+   * Validate call arguments against a function's schema
+   * Missing (undefined or null) optional arguments take their default
+   *
+   * @returns {object} - Argument values keyed by name
+   */
+  validateArgs(fn, values) {
+    const result = {};
+
+    fn.args.forEach((arg, index) => {
+      if (arg.rest) {
+        result[arg.name] = values.slice(index).map(value => this.checkArg(fn.name, arg, value));
+        if (arg.maxItems !== undefined && result[arg.name].length > arg.maxItems) {
+          throw new RangeError(`${fn.name}(): too many ${arg.name} (max ${arg.maxItems})`);
+        }
+        return;
+      }
+
+      const value = values[index];
+      if (value === undefined || value === null) {
+        if (!arg.optional) {
+          throw new TypeError(`${fn.name}(): ${arg.name} is required`);
+        }
+        result[arg.name] = arg.default;
+        return;
+      }
+
+      result[arg.name] = this.checkArg(fn.name, arg, value);
+    });
+
+    return result;
+  }
+
+  /**
+   * Call a plugin function from the sandbox
+   *
+   * @param {string} name - Global name
+   * @param {Array} values - Arguments as passed by sandbox code
+   * @returns {Promise<*>} - Handler result (must be JSON-serializable)
+   */
+  async call(name, values) {
+    const fn = this.functions.get(name);
+    if (!fn) {
+      throw new Error(`${name} is not available here`);
+    }
+
+    const calls = (this.calls.get(name) || 0) + 1;
+    if (fn.quota && calls > fn.quota) {
+      throw new Error(`Too many ${name}() calls in this eval (max ${fn.quota})`);
+    }
+    this.calls.set(name, calls);
+
+    const args = this.validateArgs(fn, values);
+    if (this.fixtures && !fn.pure) {
+      return this.fixtures.call(name, values, () => fn.handler(args, this.context));
+    }
+    return fn.handler(args, this.context);
+  }
+
+  /**
+   * VM source defining each plugin function as a global, followed by the
+   * plugins' own in-VM preludes
+   * Arguments and results cross the boundary as JSON through _call
+   */
+  globalsSource() {
+    const wrappers = [...this.functions.keys()].map(name => `
+      globalThis[${JSON.stringify(name)}] = async function ${name}(...args) {
+        const result = await _call(${JSON.stringify(name)}, JSON.stringify(args));
+        return result === undefined ? undefined : JSON.parse(result);
+      };`);
+
+    const preludes = this.plugins
+      .filter(plugin => plugin.prelude)
+      .map(plugin => `{\n${plugin.prelude}\n}`);
+
+    return [...wrappers, ...preludes].join('\n');
+  }
+}
+
+module.exports = PluginRegistry;
@@ -0,0 +1,211 @@
+// RGB raster image encoded as PNG, in pure JavaScript
+// Just enough drawing for charts: pixels, filled rectangles, thick lines and
+// a 5x7 bitmap font (uppercase, digits and common punctuation)
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// 5x7 glyphs, rows top to bottom; lowercase letters draw as uppercase and
+// unknown characters as '?'
+const FONT = {
+  ' ': '..... ..... ..... ..... ..... ..... .....',
+  '0': '.###. #...# #..## #.#.# ##..# #...# .###.',
+  '1': '..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.',
+  '2': '.###. #...# ....# ...#. ..#.. .#... #####',
+  '3': '####. ....# ....# .###. ....# ....# ####.',
+  '4': '...#. ..##. .#.#. #..#. ##### ...#. ...#.',
+  '5': '##### #.... ####. ....# ....# #...# .###.',
+  '6': '..##. .#... #.... ####. #...# #...# .###.',
+  '7': '##### ....# ...#. ..#.. .#... .#... .#...',
+  '8': '.###. #...# #...# .###. #...# #...# .###.',
+  '9': '.###. #...# #...# .#### ....# ...#. .##..',
+  'A': '.###. #...# #...# ##### #...# #...# #...#',
+  'B': '####. #...# #...# ####. #...# #...# ####.',
+  'C': '.###. #...# #.... #.... #.... #...# .###.',
+  'D': '###.. #..#. #...# #...# #...# #..#. ###..',
+  'E': '##### #.... #.... ####. #.... #.... #####',
+  'F': '##### #.... #.... ####. #.... #.... #....',
+  'G': '.###. #...# #.... #.### #...# #...# .####',
+  'H': '#...# #...# #...# ##### #...# #...# #...#',
+  'I': '.###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+  'J': '..### ...#. ...#. ...#. ...#. #..#. .##..',
+  'K': '#...# #..#. #.#.. ##... #.#.. #..#. #...#',
+  'L': '#.... #.... #.... #.... #.... #.... #####',
+  'M': '#...# ##.## #.#.# #.#.# #...# #...# #...#',
+  'N': '#...# #...# ##..# #.#.# #..## #...# #...#',
+  'O': '.###. #...# #...# #...# #...# #...# .###.',
+  'P': '####. #...# #...# ####. #.... #.... #....',
+  'Q': '.###. #...# #...# #...# #.#.# #..#. .##.#',
+  'R': '####. #...# #...# ####. #.#.. #..#. #...#',
+  'S': '.#### #.... #.... .###. ....# ....# ####.',
+  'T': '##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+  'U': '#...# #...# #...# #...# #...# #...# .###.',
+  'V': '#...# #...# #...# #...# #...# .#.#. ..#..',
+  'W': '#...# #...# #...# #.#.# #.#.# #.#.# .#.#.',
+  'X': '#...# #...# .#.#. ..#.. .#.#. #...# #...#',
+  'Y': '#...# #...# .#.#. ..#.. ..#.. ..#.. ..#..',
+  'Z': '##### ....# ...#. ..#.. .#... #.... #####',
+  '.': '..... ..... ..... ..... ..... .##.. .##..',
+  ',': '..... ..... ..... ..... .##.. ..#.. .#...',
+  ':': '..... .##.. .##.. ..... .##.. .##.. .....',
+  '-': '..... ..... ..... ##### ..... ..... .....',
+  '+': '..... ..#.. ..#.. ##### ..#.. ..#.. .....',
+  '=': '..... ..... ##### ..... ##### ..... .....',
+  '_': '..... ..... ..... ..... ..... ..... #####',
+  '%': '##... ##..# ...#. ..#.. .#... #..## ...##',
+  '/': '..... ....# ...#. ..#.. .#... #.... .....',
+  '(': '...#. ..#.. .#... .#... .#... ..#.. ...#.',
+  ')': '.#... ..#.. ...#. ...#. ...#. ..#.. .#...',
+  '$': '..#.. .#### #.#.. .###. ..#.# ####. ..#..',
+  '#': '.#.#. .#.#. ##### .#.#. ##### .#.#. .#.#.',
+  "'": '..#.. ..#.. .#... ..... ..... ..... .....',
+  '?': '.###. #...# ....# ...#. ..#.. ..... ..#..'
+};
+
+// Glyph rows as arrays of booleans
+const GLYPHS = Object.fromEntries(Object.entries(FONT).map(([char, rows]) =>
+  [char, rows.split(' ').map(row => [...row].map(cell => cell === '#'))]));
+
+// CRC-32 (PNG chunk checksums)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+class PngImage {
+  /**
+   * @param {number} width - Pixels
+   * @param {number} height - Pixels
+   * @param {Array<number>} background - [r, g, b]
+   */
+  constructor(width, height, background = [255, 255, 255]) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  /**
+   * Width in pixels of text drawn at a scale
+   */
+  static textWidth(text, scale = 1) {
+    return String(text).length * 6 * scale - scale;
+  }
+
+  setPixel(x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      return;
+    }
+    const offset = (y * this.width + x) * 3;
+    this.pixels[offset] = color[0];
+    this.pixels[offset + 1] = color[1];
+    this.pixels[offset + 2] = color[2];
+  }
+
+  /**
+   * Fill a rectangle (clipped to the image)
+   */
+  fillRect(x, y, width, height, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + width));
+    const y1 = Math.min(this.height, Math.round(y + height));
+    for (let row = y0; row < y1; row++) {
+      for (let col = x0; col < x1; col++) {
+        const offset = (row * this.width + col) * 3;
+        this.pixels[offset] = color[0];
+        this.pixels[offset + 1] = color[1];
+        this.pixels[offset + 2] = color[2];
+      }
+    }
+  }
+
+  /**
+   * Draw a line with a square brush of the given thickness
+   */
+  line(x0, y0, x1, y1, color, thickness = 1) {
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+    const offset = (thickness - 1) / 2;
+    for (let i = 0; i <= steps; i++) {
+      const x = x0 + ((x1 - x0) * i) / steps;
+      const y = y0 + ((y1 - y0) * i) / steps;
+      if (thickness === 1) {
+        this.setPixel(x, y, color);
+      } else {
+        this.fillRect(x - offset, y - offset, thickness, thickness, color);
+      }
+    }
+  }
+
+  /**
+   * Draw text with its top-left corner at (x, y)
+   */
+  text(x, y, text, color, scale = 1) {
+    let cursor = x;
+    for (const char of String(text)) {
+      const glyph = GLYPHS[char] || GLYPHS[char.toUpperCase()] || GLYPHS['?'];
+      glyph.forEach((row, rowIndex) => {
+        row.forEach((on, colIndex) => {
+          if (on) {
+            this.fillRect(cursor + colIndex * scale, y + rowIndex * scale, scale, scale, color);
+          }
+        });
+      });
+      cursor += 6 * scale;
+    }
+  }
+
+  /**
+   * Encode as an 8-bit RGB PNG
+   * @returns {Buffer}
+   */
+  encode() {
+    // Each scanline starts with filter type 0 (none)
+    const rowBytes = this.width * 3;
+    const raw = Buffer.alloc((rowBytes + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      this.pixels.copy(raw, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Color type: RGB
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      this.chunk('IHDR', header),
+      this.chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+      this.chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  /**
+   * One PNG chunk: length, type, data, CRC of type and data
+   */
+  chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  }
+}
+
+module.exports = PngImage;
@@ -0,0 +1,23 @@
+// Redis connections for the stores shared by all queue workers (user store,
+// HTTP rate windows and response cache, persisted state)
+
+const Redis = require('ioredis');
+
+/**
+ * Connect to Redis for store commands
+ * Commands fail quickly instead of queueing while Redis is down, so evals
+ * get an error rather than hanging until their deadline
+ *
+ * @param {object} config - ioredis connection settings
+ * @param {string} tag - Log tag for connection errors, e.g. 'Store'
+ * @returns {Redis}
+ */
+function createRedisClient(config, tag) {
+  const redis = new Redis({ ...config, maxRetriesPerRequest: 2 });
+  redis.on('error', (error) => {
+    console.error(`[${tag}] Redis error:`, error.message);
+  });
+  return redis;
+}
+
+module.exports = createRedisClient;
@@ -0,0 +1,372 @@
+// Sandbox execution pool
+// Runs evaluations in worker threads that can be killed and recycled,
+// so one pathological eval never stalls the main event loop
+
+const { Worker } = require('worker_threads');
+const path = require('path');
+const HttpRateWindow = require('./http-rate-window');
+const HttpCache = require('./http-cache');
+
+class SandboxPool {
+  constructor(options = {}) {
+    this.size = options.size || 2;
+    this.maxEvalsPerWorker = options.maxEvalsPerWorker || 100;
+    this.killGrace = options.killGrace || 1000; // ms past the eval timeout
+    this.sandboxOptions = options.sandboxOptions || {};
+    this.warmContexts = options.warmContexts !== undefined ? options.warmContexts : 1; // Ready sandboxes per worker
+    this.stateStore = options.stateStore || null; // Persisted per-user globals
+    this.namespace = options.namespace || null; // Shared function namespace
+    this.userStore = options.userStore || null; // Per-user key-value store
+    this.stateLocks = new Map(); // stateKey -> tail of that user's eval chain
+
+    // Rolling HTTP request windows (per user and per domain) and the response
+    // cache, shared by every eval; in Redis when given settings, so all queue
+    // workers share them
+    const httpLimits = this.sandboxOptions.httpLimits || {};
+    this.httpCache = options.httpCache || new HttpCache({ redis: options.httpRedis || null });
+    this.httpWindow = options.httpWindow || new HttpRateWindow({
+      redis: options.httpRedis || null,
+      requestLimit: httpLimits.requestLimit,
+      requestInterval: httpLimits.requestInterval,
+      domains: this.sandboxOptions.httpDomains
+    });
+
+    // Host functions sandboxes may call back into this thread
+    this.hostHandlers = {
+      ...(this.namespace ? this.namespace.getHostHandlers() : {}),
+      ...(this.userStore ? this.userStore.getHostHandlers() : {}),
+      ...this.httpWindow.getHostHandlers(),
+      ...this.httpCache.getHostHandlers(),
+      ...options.hostHandlers
+    };
+    this.timeout = this.sandboxOptions.timeout || 5000;
+
+    this.workers = [];
+    this.tasks = [];
+    this.nextTaskId = 0;
+    this.closed = false;
+
+    this.stats = {
+      executed: 0,
+      killed: 0,
+      crashed: 0,
+      recycled: 0
+    };
+  }
+
+  /**
+   * Start the worker threads
+   */
+  init() {
+    while (this.workers.length < this.size) {
+      this.spawnWorker();
+    }
+  }
+
+  /**
+   * Create a worker thread and register its lifecycle handlers
+   */
+  spawnWorker() {
+    const thread = new Worker(path.join(__dirname, 'sandbox-thread.js'), {
+      workerData: { sandboxOptions: this.sandboxOptions, warmContexts: this.warmContexts }
+    });
+
+    const entry = {
+      thread,
+      task: null,
+      evals: 0,
+      retired: false
+    };
+
+    thread.on('message', (message) => this.handleMessage(entry, message));
+
+    thread.on('error', (error) => {
+      console.error('[Pool] Worker error:', error.message);
+      this.handleExit(entry, `Sandbox worker crashed: ${error.message}`);
+    });
+
+    thread.on('exit', (code) => {
+      this.handleExit(entry, `Sandbox worker exited with code ${code}`);
+    });
+
+    this.workers.push(entry);
+    return entry;
+  }
+
+  /**
+   * Execute code in a pooled sandbox
+   * Resolves with the same result shape as Sandbox.execute
+   *
+   * @param {string} code - JavaScript source to evaluate
+   * @param {object} context - Execution context (channel, stateKey, ...)
+   * @returns {Promise<object>} - Sandbox execution result
+   */
+  async execute(code, context = {}) {
+    if (this.closed) {
+      return { success: false, error: 'Sandbox pool is closed' };
+    }
+
+    this.init();
+
+    // A user's evals with persisted state run one at a time, so each starts
+    // from the globals the previous one saved instead of overwriting them
+    const stateKey = this.stateStore ? context.stateKey : null;
+    if (stateKey) {
+      return this.withState(stateKey, () => this.run(code, context, stateKey));
+    }
+    return this.run(code, context, null);
+  }
+
+  /**
+   * Run operations on one user's state one at a time
+   */
+  withState(stateKey, fn) {
+    const previous = this.stateLocks.get(stateKey) || Promise.resolve();
+    const result = previous.then(() => fn());
+    const tail = result.catch(() => {});
+    this.stateLocks.set(stateKey, tail);
+    tail.then(() => {
+      if (this.stateLocks.get(stateKey) === tail) {
+        this.stateLocks.delete(stateKey);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Queue an eval with the user's persisted globals and save the ones it
+   * leaves behind
+   */
+  async run(code, context, stateKey) {
+    if (this.closed) {
+      return { success: false, error: 'Sandbox pool is closed' }; // Closed while waiting its turn
+    }
+
+    // Load the user's persisted globals into the task. If they can't be read
+    // the eval runs without them, and its globals aren't saved over them
+    if (stateKey) {
+      try {
+        context = { ...context, persist: true, state: await this.stateStore.get(stateKey) };
+      } catch (error) {
+        console.error(`[Pool] Failed to load state for ${stateKey}:`, error.message);
+        stateKey = null;
+      }
+    }
+
+    // Threads keep a copy of the shared namespace and refetch it when the
+    // revision changes, so every eval sees the latest definitions
+    if (this.namespace) {
+      context = { ...context, sharedRevision: this.namespace.revision };
+    }
+
+    return new Promise((resolve) => {
+      this.tasks.push({
+        id: ++this.nextTaskId,
+        code,
+        context,
+        resolve: (result) => resolve(this.saveState(stateKey, result)),
+        timer: null
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Persist the state snapshot from a result and strip it before returning
+   * A null snapshot wipes the user's state, undefined leaves it unchanged
+   */
+  async saveState(stateKey, result) {
+    if (!stateKey || !('state' in result)) {
+      return result;
+    }
+
+    const { state, ...rest } = result;
+    try {
+      if (state === null) {
+        await this.stateStore.delete(stateKey);
+      } else if (typeof state === 'string') {
+        await this.stateStore.set(stateKey, state);
+      }
+    } catch (error) {
+      console.error(`[Pool] Failed to save state for ${stateKey}:`, error.message);
+    }
+
+    return rest;
+  }
+
+  /**
+   * Hand queued tasks to idle workers
+   */
+  dispatch() {
+    for (const entry of this.workers) {
+      if (this.tasks.length === 0) {
+        return;
+      }
+      if (entry.task || entry.retired) {
+        continue;
+      }
+
+      const task = this.tasks.shift();
+      entry.task = task;
+
+      // Hard wall-clock kill in case the in-VM deadline never fires
+      const timeout = (task.context.limits && task.context.limits.timeout) || this.timeout;
+      task.timer = setTimeout(() => {
+        console.error(`[Pool] Killing worker stuck on task ${task.id}`);
+        this.stats.killed++;
+        this.finishTask(entry, {
+          success: false,
+          errorType: 'timeout',
+          error: `Execution timed out after ${timeout}ms`
+        });
+        this.retire(entry);
+      }, timeout + this.killGrace);
+
+      entry.thread.postMessage({
+        type: 'eval',
+        id: task.id,
+        code: task.code,
+        context: task.context
+      });
+    }
+  }
+
+  /**
+   * Handle a message posted back by a worker thread
+   */
+  handleMessage(entry, message) {
+    if (message.type === 'call') {
+      this.handleCall(entry, message);
+      return;
+    }
+
+    if (!entry.task || entry.task.id !== message.id) {
+      return; // Result for a task that was already killed
+    }
+
+    this.stats.executed++;
+    entry.evals++;
+    this.finishTask(entry, message.result);
+
+    if (message.retire) {
+      console.error(`[Pool] Retiring worker that failed to clean up after task ${message.id}`);
+      this.retire(entry);
+    } else if (entry.evals >= this.maxEvalsPerWorker) {
+      this.stats.recycled++;
+      this.retire(entry);
+    } else {
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Run a host function requested by a sandbox and post the reply
+   * The caller's identity comes from the task context, never from the sandbox
+   */
+  async handleCall(entry, message) {
+    const reply = { type: 'reply', callId: message.callId };
+
+    try {
+      const task = entry.task;
+      if (!task || task.id !== message.id) {
+        throw new Error('Evaluation is no longer running');
+      }
+
+      const handler = this.hostHandlers[message.name];
+      if (!handler) {
+        throw new Error(`Unknown host function: ${message.name}`);
+      }
+
+      const caller = {
+        author: task.context.author || task.context.channel || 'default',
+        channel: task.context.channel || 'default',
+        limits: task.context.limits || {}, // The user's tier limits
+        isAdmin: !!task.context.isAdmin
+      };
+      reply.value = await handler(message.args || [], caller);
+    } catch (error) {
+      reply.error = error.message || String(error);
+    }
+
+    if (!entry.retired) {
+      entry.thread.postMessage(reply);
+    }
+  }
+
+  /**
+   * Handle a worker that crashed or was terminated
+   */
+  handleExit(entry, reason) {
+    if (!entry.retired) {
+      this.stats.crashed++;
+      this.finishTask(entry, { success: false, error: reason });
+      this.retire(entry);
+    }
+  }
+
+  /**
+   * Resolve the worker's current task and clear its kill timer
+   */
+  finishTask(entry, result) {
+    const task = entry.task;
+    if (!task) {
+      return;
+    }
+
+    clearTimeout(task.timer);
+    entry.task = null;
+    task.resolve(result);
+  }
+
+  /**
+   * Terminate a worker and replace it with a fresh one
+   */
+  retire(entry) {
+    entry.retired = true;
+    this.workers = this.workers.filter(w => w !== entry);
+    entry.thread.terminate().catch(() => {});
+
+    if (!this.closed) {
+      this.spawnWorker();
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Get pool statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      workers: this.workers.length,
+      busy: this.workers.filter(w => w.task).length,
+      queued: this.tasks.length
+    };
+  }
+
+  /**
+   * Terminate all workers and fail queued tasks
+   */
+  async close() {
+    this.closed = true;
+
+    for (const task of this.tasks) {
+      task.resolve({ success: false, error: 'Sandbox pool is closed' });
+    }
+    this.tasks = [];
+
+    const workers = this.workers;
+    this.workers = [];
+
+    await Promise.all(workers.map(async (entry) => {
+      entry.retired = true;
+      this.finishTask(entry, { success: false, error: 'Sandbox pool is closed' });
+      await entry.thread.terminate();
+    }));
+
+    await this.httpWindow.close();
+    await this.httpCache.close();
+  }
+}
+
+module.exports = SandboxPool;
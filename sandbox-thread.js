@@ -0,0 +1,83 @@
+// Sandbox worker thread entry point
+// Receives eval tasks from SandboxPool and posts back results
+
+const { parentPort, workerData } = require('worker_threads');
+const Sandbox = require('./sandbox');
+const ContextPool = require('./context-pool');
+
+// Host function calls awaiting a reply from the pool: callId -> { resolve, reject }
+const pendingCalls = new Map();
+let nextCallId = 0;
+
+// This thread's copy of the shared namespace, refetched when its revision changes
+let shared = { revision: null, definitions: {} };
+
+// Clean sandboxes set up ahead of time, so evals skip context creation
+const contexts = new ContextPool({
+  create: () => new Sandbox(workerData.sandboxOptions),
+  size: workerData.warmContexts
+});
+contexts.fill();
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'reply') {
+    const call = pendingCalls.get(message.callId);
+    if (call) {
+      pendingCalls.delete(message.callId);
+      if (message.error !== undefined) {
+        call.reject(new Error(message.error));
+      } else {
+        call.resolve(message.value);
+      }
+    }
+    return;
+  }
+
+  const { id, code, context } = message;
+
+  // Forward host function calls to the pool, tagged with this task's id
+  const hostCall = (name, args) => new Promise((resolve, reject) => {
+    const callId = ++nextCallId;
+    pendingCalls.set(callId, { resolve, reject });
+    parentPort.postMessage({ type: 'call', id, callId, name, args });
+  });
+
+  let sandbox = null;
+  let result;
+
+  try {
+    if (context.sharedRevision !== undefined && context.sharedRevision !== shared.revision) {
+      shared = await hostCall('namespace.definitions', []);
+    }
+    sandbox = await contexts.acquire();
+    sandbox.hostCall = hostCall;
+    result = await sandbox.execute(code, context.sharedRevision === undefined
+      ? context
+      : { ...context, shared: shared.definitions });
+  } catch (error) {
+    result = {
+      success: false,
+      error: error.message || String(error)
+    };
+  }
+
+  // Discard the used sandbox before replying: the WASM module is shared by
+  // every sandbox in this thread, so a failed dispose poisons them all and
+  // the pool must retire this thread rather than send it another task
+  let retire = false;
+  if (sandbox) {
+    try {
+      contexts.discard(sandbox);
+    } catch (error) {
+      console.error('[Sandbox] Failed to dispose sandbox:', error.message);
+      retire = true;
+    }
+  }
+
+  parentPort.postMessage({ type: 'result', id, result, retire });
+
+  // Warm the next sandbox after replying
+  if (!retire) {
+    contexts.fill();
+  }
+});
@@ -1,286 +1,501 @@
 // Safe JavaScript sandbox using QuickJS (WebAssembly)
+const crypto = require('crypto');
 const { newQuickJSAsyncWASMModule } = require('quickjs-emscripten');
-const fetch = require('node-fetch');
-const HttpLimiter = require('./http-limiter');
+const HttpModule = require('./http-module');
 const StockModule = require('./stock-module');
+const ChartModule = require('./chart-module');
+const PluginRegistry = require('./plugin-registry');
+const inspectResult = require('./inspector');
+const installConsole = require('./console-api');
+const installWebGlobals = require('./web-globals');
+const installTextCharts = require('./text-charts');
+const wrapTopLevelAwait = require('./top-level-await');
+const installDeterminism = require('./determinism');
+const FixtureStore = require('./fixture-store');
+
+// Result formatting tuned for a 300-grapheme reply
+const DEFAULT_INSPECT_OPTIONS = {
+  depth: 2,
+  maxArrayLength: 20,
+  maxStringLength: 200,
+  breakLength: 60,
+  maxStackLines: 3
+};
+
+// crypto.subtle.digest algorithm names -> Node hash names
+const DIGEST_ALGORITHMS = {
+  'SHA-1': 'sha1',
+  'SHA-256': 'sha256',
+  'SHA-384': 'sha384',
+  'SHA-512': 'sha512'
+};
+
+// URL properties the sandbox's URL class mirrors (see web-globals.js)
+const URL_PROPERTIES = [
+  'href', 'origin', 'protocol', 'username', 'password', 'host',
+  'hostname', 'port', 'pathname', 'search', 'hash'
+];
+
+// Host error types recreated as-is in the VM
+const ERROR_NAMES = ['Error', 'TypeError', 'RangeError', 'SyntaxError'];
+
+// Deterministic evals: settings used unless the option or pragma sets them,
+// and the leading comment line that turns the mode on for one eval
+const DETERMINISTIC_DEFAULTS = { seed: 0, now: Date.UTC(2000, 0, 1) };
+const DETERMINISTIC_PRAGMA = /^(?:\s*\/\/[^\n]*\n)*?\s*\/\/\s*@deterministic\b([^\n]*)/;
+
+// What QuickJS throws when the interrupt handler stops execution
+const INTERRUPTED = { name: 'InternalError', message: 'interrupted' };
+
+// QuickJS's own allocation limit, as a multiple of the memory limit. The
+// host enforces the real limit (see setDeadline), since QuickJS lets many
+// allocations through its limit; this only stops single huge allocations
+const NATIVE_LIMIT_FACTOR = 2;
+
+// Milliseconds between memory checks while the VM runs
+const MEMORY_CHECK_INTERVAL = 10;
+
+// The WASM module is loaded once per thread; each Sandbox gets its own runtime
+let quickjsModule = null;
+
+/**
+ * Load the shared QuickJS WASM module
+ * @returns {Promise<QuickJSAsyncWASMModule>}
+ */
+function loadQuickJS() {
+  if (!quickjsModule) {
+    quickjsModule = newQuickJSAsyncWASMModule().catch((error) => {
+      quickjsModule = null; // Let the next sandbox retry
+      throw error;
+    });
+  }
+  return quickjsModule;
+}
 
 class Sandbox {
   constructor(options = {}) {
     this.timeout = options.timeout || 5000; // 5 seconds default
-    this.httpLimiter = new HttpLimiter(options.httpLimits || {});
+    this.memoryLimit = options.memoryLimit || 128; // MB
+    this.stateQuota = options.stateQuota || 65536; // bytes of persisted globals
+    this.sharedModule = options.sharedModule !== false; // false loads a WASM module per sandbox (benchmark baseline)
+    this.hostCall = options.hostCall || null; // Bridge to host functions (SandboxPool)
+    this.inspectOptions = { ...DEFAULT_INSPECT_OPTIONS, ...options.inspect };
+    this.maxOutputLines = options.maxOutputLines || 50; // console lines per eval
+    this.maxTimers = options.maxTimers || 100; // setTimeout/setInterval calls per eval
+    this.httpModule = new HttpModule({
+      limits: options.httpLimits,
+      ssrf: options.ssrf,
+      domains: options.httpDomains,
+      // The pool's HttpRateWindow enforces user and domain windows across evals
+      sharedWindow: hostname => (this.hostCall ? this.hostCall('http.request', [hostname]) : null),
+      // ...and keeps the shared response cache
+      sharedCache: (operation, args) => (this.hostCall ? this.hostCall(`http.cache.${operation}`, args) : null)
+    });
     this.stockModule = new StockModule({
       cacheTTL: options.stockCacheTTL || 60000, // 1 minute cache
-      requestsPerEval: options.stockRequestsPerEval || 10
+      requestsPerEval: options.stockRequestsPerEval || 10,
+      providers: options.marketProviders // Market data providers, in failover order
     });
+    this.chartModule = new ChartModule(options.charts); // Chart images attached to the result
+    // Limits used when an eval's context doesn't carry its own (see applyLimits)
+    this.baseLimits = {
+      timeout: this.timeout,
+      memoryLimit: this.memoryLimit,
+      httpRequestsPerEval: this.httpModule.limiter.requestsPerEval,
+      httpRequestLimit: this.httpModule.limiter.requestLimit,
+      stockRequestsPerEval: this.stockModule.requestsPerEval
+    };
+    // Host functions exposed as sandbox globals; extra plugins come from config.json
+    this.plugins = new PluginRegistry([
+      this.httpModule.getPlugin(),
+      this.stockModule.getPlugin(),
+      this.chartModule.getPlugin(),
+      ...PluginRegistry.load(options.plugins, options.pluginDir)
+    ]);
+    // true or { seed, now, fixtures, record } makes every eval deterministic;
+    // fixtures (a file path or object) serve plugin calls in deterministic evals
+    this.deterministic = options.deterministic || null;
+    const { fixtures, record } = typeof this.deterministic === 'object' && this.deterministic ? this.deterministic : {};
+    this.fixtures = new FixtureStore(typeof fixtures === 'string' ? { file: fixtures, record } : { fixtures, record });
     this.quickjs = null;
     this.runtime = null;
     this.vm = null;
-    this.outputBuffer = [];
-    this.currentChannel = 'default'; // Store current execution channel
+    this.outputBuffer = []; // [{ level, text }]
+    this.outputLines = 0;
+    this.baseGlobals = null; // Global names present before user code runs
+    this.inspectHandle = null; // In-VM inspector, kept out of globalThis
+    this.determinismHandle = null; // In-VM deterministic mode switch
+    this.determinism = null; // { seed, now, counter } while the eval is deterministic
+    this.stateReset = false;
+    this.timers = new Map(); // id -> { timeout, promise } while a host timer is armed
+    this.timersCreated = 0;
+    this.uncaughtError = null; // First error thrown by a timer or microtask callback
+    this.interrupted = false; // Set once the current deadline has interrupted the VM
+    this.memoryExceeded = false; // Set once the eval has used more than memoryLimit
+    this.hostPromises = new Set(); // Unsettled VM promises waiting on host work
+    this.resources = null; // { cpuTime, interrupts, peakMemory } for the current eval
+    this.wakeUp = null; // Resolves the execute loop's current wait
+    this.woken = false; // A host promise settled while the loop was not waiting
   }
 
   async init() {
     if (!this.quickjs) {
-      this.quickjs = await newQuickJSAsyncWASMModule();
+      this.quickjs = this.sharedModule ? await loadQuickJS() : await newQuickJSAsyncWASMModule();
       this.runtime = this.quickjs.newRuntime();
       this.runtime.setMaxStackSize(1024 * 1024); // 1MB stack
+      this.runtime.setMemoryLimit(this.memoryLimit * 1024 * 1024 * NATIVE_LIMIT_FACTOR);
       this.vm = this.runtime.newContext();
+      this.inspectHandle = this.vm.unwrapResult(this.vm.evalCode(`(${inspectResult.toString()})`));
+      this.determinismHandle = this.vm.unwrapResult(this.vm.evalCode(`(${installDeterminism.toString()})()`));
       await this.setupGlobals();
+      this.baseGlobals = new Set(this.evalInternal('Object.getOwnPropertyNames(globalThis)'));
     }
   }
 
+  /**
+   * Evaluate trusted host code in the VM and return its dumped value
+   */
+  evalInternal(code) {
+    const handle = this.vm.unwrapResult(this.vm.evalCode(code));
+    const value = this.vm.dump(handle);
+    handle.dispose();
+    return value;
+  }
+
   async setupGlobals() {
     const vm = this.vm;
     const runtime = this.runtime;
-    const httpLimiter = this.httpLimiter;
-    const outputBuffer = this.outputBuffer;
-
-    // Inject console.log
-    const logHandle = vm.newFunction('log', (...args) => {
-      const nativeArgs = args.map(handle => vm.dump(handle));
-      outputBuffer.push(nativeArgs.map(a => String(a)).join(' '));
-    });
-    const consoleHandle = vm.newObject();
-    vm.setProp(consoleHandle, 'log', logHandle);
-    vm.setProp(vm.global, 'console', consoleHandle);
-    consoleHandle.dispose();
-    logHandle.dispose();
-
-    // Inject fetch function
     const self = this;
-    const fetchHandle = vm.newFunction('_fetch', (urlHandle) => {
-      const url = vm.getString(urlHandle);
-      const channel = self.currentChannel;
 
-      const promiseHandle = vm.newPromise();
+    // Inject console (arguments are formatted in the VM by the inspector)
+    const writeHandle = vm.newFunction('write', (levelHandle, textHandle) => {
+      self.writeOutput(vm.getString(levelHandle), vm.getString(textHandle));
+    });
+    const inspectOptionsHandle = vm.unwrapResult(vm.evalCode(`(${JSON.stringify(this.inspectOptions)})`));
+    const installConsoleHandle = vm.unwrapResult(vm.evalCode(`(${installConsole.toString()})`));
+    vm.unwrapResult(vm.callFunction(
+      installConsoleHandle, vm.undefined, this.inspectHandle, writeHandle, inspectOptionsHandle
+    )).dispose();
+    installConsoleHandle.dispose();
+    inspectOptionsHandle.dispose();
+    writeHandle.dispose();
 
-      (async () => {
+    // Inject web globals (randomness, hashing and URL parsing come from Node)
+    const randomBytesHandle = vm.newFunction('randomBytes', (sizeHandle) => {
+      const size = Math.min(Math.max(vm.getNumber(sizeHandle) || 0, 0), 65536);
+      const bytes = self.determinism ? self.seededBytes(size) : crypto.randomBytes(size);
+      return vm.newString(bytes.toString('hex'));
+    });
+    const digestHandle = vm.newFunction('digest', (algorithmHandle, dataHandle) => {
+      const algorithm = DIGEST_ALGORITHMS[vm.getString(algorithmHandle)];
+      if (!algorithm) {
+        throw new Error('Unrecognized algorithm name');
+      }
+      const data = Buffer.from(vm.getString(dataHandle), 'hex');
+      return vm.newString(crypto.createHash(algorithm).update(data).digest('hex'));
+    });
+    const parseURLHandle = vm.newFunction('parseURL', (inputHandle, baseHandle, propertyHandle, valueHandle) => {
+      const [input, base, property, value] = [inputHandle, baseHandle, propertyHandle, valueHandle]
+        .map(handle => (handle ? vm.dump(handle) : null));
+      let url;
+      try {
+        url = base === null ? new URL(input) : new URL(input, base);
+      } catch (error) {
+        throw new TypeError('Invalid URL');
+      }
+      if (property === 'href') {
         try {
-          httpLimiter.checkLimits(channel);
-          httpLimiter.recordRequest(channel);
-
-          const config = httpLimiter.getFetchConfig();
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), config.timeout);
-
-          try {
-            const response = await fetch(url, {
-              signal: controller.signal,
-              size: config.size
-            });
-
-            const text = await response.text();
-
-            const result = {
-              status: response.status,
-              statusText: response.statusText,
-              headers: Object.fromEntries(response.headers.entries()),
-              body: text
-            };
-
-            const resultHandle = vm.newString(JSON.stringify(result));
-            promiseHandle.resolve(resultHandle);
-            resultHandle.dispose();
-          } catch (fetchError) {
-            const errorHandle = vm.newString(fetchError.message);
-            promiseHandle.reject(errorHandle);
-            errorHandle.dispose();
-          } finally {
-            clearTimeout(timeoutId);
-          }
+          url = new URL(value);
         } catch (error) {
-          const errorHandle = vm.newString(error.message);
-          promiseHandle.reject(errorHandle);
-          errorHandle.dispose();
+          throw new TypeError('Invalid URL');
         }
-      })();
-
-      return promiseHandle.handle;
+      } else if (URL_PROPERTIES.includes(property)) {
+        url[property] = value; // Invalid values are ignored, per the URL spec
+      }
+      return vm.newString(JSON.stringify(Object.fromEntries(URL_PROPERTIES.map(name => [name, url[name]]))));
     });
-    vm.setProp(vm.global, '_fetch', fetchHandle);
-    fetchHandle.dispose();
+    const installWebGlobalsHandle = vm.unwrapResult(vm.evalCode(`(${installWebGlobals.toString()})`));
+    vm.unwrapResult(vm.callFunction(
+      installWebGlobalsHandle, vm.undefined, randomBytesHandle, digestHandle, parseURLHandle
+    )).dispose();
+    installWebGlobalsHandle.dispose();
+    randomBytesHandle.dispose();
+    digestHandle.dispose();
+    parseURLHandle.dispose();
 
-    // Inject post function
-    const postHandle = vm.newFunction('_post', (urlHandle, bodyHandle) => {
-      const url = vm.getString(urlHandle);
-      const body = vm.getString(bodyHandle);
-      const channel = self.currentChannel;
+    // sparkline() and candlesticks(), before the plugin preludes that use them
+    vm.unwrapResult(vm.evalCode(`(${installTextCharts.toString()})()`)).dispose();
 
-      const promiseHandle = vm.newPromise();
+    // Inject the plugin bridge: arguments and results are JSON strings
+    const callHandle = vm.newFunction('_call', (nameHandle, argsHandle) => {
+      const name = vm.getString(nameHandle);
+      const argsJson = vm.getString(argsHandle);
 
-      (async () => {
-        try {
-          httpLimiter.checkLimits(channel);
-          httpLimiter.validatePostBody(body);
-          httpLimiter.recordRequest(channel);
-
-          const config = httpLimiter.getFetchConfig();
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), config.timeout);
-
-          try {
-            const response = await fetch(url, {
-              method: 'POST',
-              body: body,
-              signal: controller.signal,
-              size: config.size,
-              headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-            });
-
-            const text = await response.text();
-
-            const result = {
-              status: response.status,
-              statusText: response.statusText,
-              headers: Object.fromEntries(response.headers.entries()),
-              body: text
-            };
+      return self.hostPromise(async () => {
+        const value = await self.plugins.call(name, JSON.parse(argsJson));
+        return value === undefined ? undefined : JSON.stringify(value);
+      }).handle;
+    });
+    vm.setProp(vm.global, '_call', callHandle);
+    callHandle.dispose();
+    vm.unwrapResult(vm.evalCode(this.plugins.globalsSource())).dispose();
 
-            const resultHandle = vm.newString(JSON.stringify(result));
-            promiseHandle.resolve(resultHandle);
-            resultHandle.dispose();
-          } catch (fetchError) {
-            const errorHandle = vm.newString(fetchError.message);
-            promiseHandle.reject(errorHandle);
-            errorHandle.dispose();
-          } finally {
-            clearTimeout(timeoutId);
-          }
-        } catch (error) {
-          const errorHandle = vm.newString(error.message);
-          promiseHandle.reject(errorHandle);
-          errorHandle.dispose();
+    // Inject host function bridge (shared namespace, user store etc.)
+    const hostHandle = vm.newFunction('_host', (nameHandle, argsHandle) => {
+      const name = vm.getString(nameHandle);
+      const argsJson = vm.getString(argsHandle);
+      return self.hostPromise(async () => {
+        if (!self.hostCall) {
+          throw new Error(`${name} is not available here`);
         }
-      })();
-
-      return promiseHandle.handle;
+        // HTTP host functions are for the fetch plugin only, so sandbox code
+        // can't plant cache entries or spend other users' domain budgets;
+        // namespace.definitions is for the sandbox thread (see sandbox-thread.js)
+        if (name.startsWith('http.') || name === 'namespace.definitions') {
+          throw new Error(`Unknown host function: ${name}`);
+        }
+        const value = await self.hostCall(name, JSON.parse(argsJson));
+        return JSON.stringify(value === undefined ? null : value);
+      }).handle;
     });
-    vm.setProp(vm.global, '_post', postHandle);
-    postHandle.dispose();
+    vm.setProp(vm.global, '_host', hostHandle);
+    hostHandle.dispose();
 
-    // Inject stock function
-    const stockHandle = vm.newFunction('_stock', (symbolHandle) => {
-      const symbol = vm.getString(symbolHandle);
-      const promiseHandle = vm.newPromise();
-
-      (async () => {
-        try {
-          const quote = await this.stockModule.getQuote(symbol);
-          const resultHandle = vm.newString(JSON.stringify(quote));
-          promiseHandle.resolve(resultHandle);
-          resultHandle.dispose();
-        } catch (error) {
-          const errorHandle = vm.newString(error.message);
-          promiseHandle.reject(errorHandle);
-          errorHandle.dispose();
-        }
-      })();
+    // Inject state reset (clears the user's persisted globals after this eval)
+    const resetHandle = vm.newFunction('_resetState', () => {
+      self.stateReset = true;
+    });
+    vm.setProp(vm.global, '_resetState', resetHandle);
+    resetHandle.dispose();
 
-      return promiseHandle.handle;
+    // Inject timers: the VM keeps callbacks, the host only arms Node timeouts
+    // that resolve a promise, so every timer dies with the eval
+    const timerCreateHandle = vm.newFunction('_timerCreate', () => {
+      if (self.timersCreated >= self.maxTimers) {
+        throw new RangeError(`Too many timers (max ${self.maxTimers} per eval)`);
+      }
+      self.timersCreated++;
+      const id = self.timersCreated;
+      self.timers.set(id, { timeout: null, promise: null });
+      return vm.newNumber(id);
     });
-    vm.setProp(vm.global, '_stock', stockHandle);
-    stockHandle.dispose();
+    vm.setProp(vm.global, '_timerCreate', timerCreateHandle);
+    timerCreateHandle.dispose();
 
-    // Inject stocks function (multiple symbols)
-    const stocksHandle = vm.newFunction('_stocks', (symbolsHandle) => {
-      const symbolsJson = vm.getString(symbolsHandle);
-      const promiseHandle = vm.newPromise();
+    const timerWaitHandle = vm.newFunction('_timerWait', (idHandle, delayHandle) => {
+      const timer = self.timers.get(vm.getNumber(idHandle));
+      if (!timer || timer.promise) {
+        throw new Error('Invalid timer');
+      }
+      const delay = Math.min(Math.max(vm.getNumber(delayHandle) || 0, 1), 2147483647);
 
-      (async () => {
-        try {
-          const symbols = JSON.parse(symbolsJson);
-          const quotes = await this.stockModule.getQuotes(symbols);
-          const resultHandle = vm.newString(JSON.stringify(quotes));
-          promiseHandle.resolve(resultHandle);
-          resultHandle.dispose();
-        } catch (error) {
-          const errorHandle = vm.newString(error.message);
-          promiseHandle.reject(errorHandle);
-          errorHandle.dispose();
-        }
-      })();
+      timer.promise = self.hostPromise(() => new Promise(resolve => {
+        timer.timeout = setTimeout(() => {
+          timer.timeout = null;
+          timer.promise = null;
+          resolve();
+        }, delay);
+      }));
 
-      return promiseHandle.handle;
+      return timer.promise.handle;
     });
-    vm.setProp(vm.global, '_stocks', stocksHandle);
-    stocksHandle.dispose();
+    vm.setProp(vm.global, '_timerWait', timerWaitHandle);
+    timerWaitHandle.dispose();
 
-    // Inject stockChart function
-    const stockChartHandle = vm.newFunction('_stockChart', (symbolHandle, periodHandle, intervalHandle) => {
-      const symbol = vm.getString(symbolHandle);
-      const period = periodHandle ? vm.getString(periodHandle) : '1d';
-      const interval = intervalHandle ? vm.getString(intervalHandle) : '5m';
-      const promiseHandle = vm.newPromise();
-
-      (async () => {
-        try {
-          const chart = await this.stockModule.getChart(symbol, period, interval);
-          const resultHandle = vm.newString(JSON.stringify(chart));
-          promiseHandle.resolve(resultHandle);
-          resultHandle.dispose();
-        } catch (error) {
-          const errorHandle = vm.newString(error.message);
-          promiseHandle.reject(errorHandle);
-          errorHandle.dispose();
-        }
-      })();
+    const timerClearHandle = vm.newFunction('_timerClear', (idHandle) => {
+      self.clearTimer(vm.getNumber(idHandle));
+    });
+    vm.setProp(vm.global, '_timerClear', timerClearHandle);
+    timerClearHandle.dispose();
 
-      return promiseHandle.handle;
+    // Errors thrown by timer and microtask callbacks fail the eval, like an
+    // uncaught exception would end a Node process
+    const uncaughtHandle = vm.newFunction('_uncaught', (errorHandle) => {
+      if (!self.uncaughtError) {
+        self.uncaughtError = vm.dump(errorHandle);
+      }
     });
-    vm.setProp(vm.global, '_stockChart', stockChartHandle);
-    stockChartHandle.dispose();
-
-    // Wrap fetch, post, and stock functions to parse JSON
-    vm.evalCode(`
-      globalThis.fetch = async function(url) {
-        // Add https:// if no protocol specified
-        if (!url.match(/^https?:\\/\\//)) {
-          url = 'https://' + url;
-        }
-        const result = await _fetch(url);
-        return JSON.parse(result);
-      };
-      globalThis.post = async function(url, body) {
-        // Add https:// if no protocol specified
-        if (!url.match(/^https?:\\/\\//)) {
-          url = 'https://' + url;
-        }
-        const result = await _post(url, String(body));
-        return JSON.parse(result);
-      };
-      globalThis.stock = async function(symbol) {
-        const result = await _stock(String(symbol).toUpperCase());
-        return JSON.parse(result);
+    vm.setProp(vm.global, '_uncaught', uncaughtHandle);
+    uncaughtHandle.dispose();
+
+    // Shared namespace and state helpers
+    vm.unwrapResult(vm.evalCode(`
+      globalThis.lib = {};
+      globalThis.ns = {
+        publish: async (name, fn) => {
+          if (typeof fn !== 'function') throw new TypeError('publish(name, fn) expects a function');
+          return JSON.parse(await _host('namespace.publish', JSON.stringify([String(name), String(fn)])));
+        },
+        source: async (name, version) => JSON.parse(await _host('namespace.source', JSON.stringify([String(name), version]))),
+        history: async (name) => JSON.parse(await _host('namespace.history', JSON.stringify([String(name)]))),
+        diff: async (name, from, to) => JSON.parse(await _host('namespace.diff', JSON.stringify([String(name), from, to]))),
+        revert: async (name, version) => JSON.parse(await _host('namespace.revert', JSON.stringify([String(name), version]))),
+        remove: async (name) => JSON.parse(await _host('namespace.remove', JSON.stringify([String(name)]))),
+        lock: async (name) => JSON.parse(await _host('namespace.lock', JSON.stringify([String(name)]))),
+        unlock: async (name) => JSON.parse(await _host('namespace.unlock', JSON.stringify([String(name)]))),
+        list: async () => JSON.parse(await _host('namespace.list', '[]'))
       };
-      globalThis.stocks = async function(...symbols) {
-        const result = await _stocks(JSON.stringify(symbols.map(s => String(s).toUpperCase())));
-        return JSON.parse(result);
+      globalThis.store = {
+        get: async (key) => JSON.parse(await _host('store.get', JSON.stringify([String(key)]))),
+        set: async (key, value, options) => {
+          if (value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+            throw new TypeError('store.set(key, value) expects a JSON-serializable value');
+          }
+          return JSON.parse(await _host('store.set', JSON.stringify([String(key), value, options && options.ttl])));
+        },
+        delete: async (key) => JSON.parse(await _host('store.delete', JSON.stringify([String(key)]))),
+        keys: async (prefix = '') => JSON.parse(await _host('store.keys', JSON.stringify([String(prefix)])))
       };
-      globalThis.stockChart = async function(symbol, period = '1d', interval = '5m') {
-        const result = await _stockChart(String(symbol).toUpperCase(), String(period), String(interval));
-        return JSON.parse(result);
+      globalThis.reset = function() {
+        _resetState();
+        return 'State will be cleared after this eval';
       };
-    `);
+      {
+        const timers = new Map(); // id -> { callback, args, delay, repeat }
+        const arm = (id, timer) => {
+          _timerWait(id, timer.delay).then(() => {
+            if (timers.get(id) !== timer) return; // Cleared meanwhile
+            if (timer.repeat) {
+              arm(id, timer);
+            } else {
+              timers.delete(id);
+              _timerClear(id);
+            }
+            try {
+              timer.callback(...timer.args);
+            } catch (error) {
+              _uncaught(error);
+            }
+          });
+        };
+        const create = (callback, delay, args, repeat) => {
+          if (typeof callback !== 'function') {
+            throw new TypeError('The "callback" argument must be of type function');
+          }
+          const id = _timerCreate();
+          const timer = { callback, args, delay: Number(delay) || 0, repeat };
+          timers.set(id, timer);
+          arm(id, timer);
+          return id;
+        };
+        const clear = (id) => {
+          if (timers.delete(id)) _timerClear(id);
+        };
+        globalThis.setTimeout = (callback, delay, ...args) => create(callback, delay, args, false);
+        globalThis.setInterval = (callback, delay, ...args) => create(callback, delay, args, true);
+        globalThis.clearTimeout = clear;
+        globalThis.clearInterval = clear;
+        globalThis.queueMicrotask = (callback) => {
+          if (typeof callback !== 'function') {
+            throw new TypeError('The "callback" argument must be of type function');
+          }
+          Promise.resolve().then(() => {
+            try {
+              callback();
+            } catch (error) {
+              _uncaught(error);
+            }
+          });
+        };
+      }
+    `)).dispose();
   }
 
+  /**
+   * Evaluate code, reporting the resources it used alongside the result
+   * @returns {Promise<object>} - { success, result, display, output, logs, error, images, resources, ... }
+   */
   async execute(code, context = {}) {
     await this.init();
-    this.currentChannel = context.channel || 'default'; // Set channel for HTTP rate limiting
-    this.httpLimiter.startEval();
-    this.stockModule.startEval();
+    this.applyLimits(context.limits || {});
+
+    const startTime = Date.now();
+    this.resources = { cpuTime: 0, interrupts: 0, peakMemory: 0 };
+    this.memoryExceeded = false;
+    const result = await this.runEval(code, context);
+
+    return {
+      ...result,
+      resources: {
+        wallTime: Date.now() - startTime,
+        cpuTime: Math.round(this.resources.cpuTime),
+        interrupts: this.resources.interrupts,
+        peakMemory: this.resources.peakMemory,
+        ...this.plugins.usage()
+      }
+    };
+  }
+
+  /**
+   * Apply an eval's limits (from the user's tier), falling back to the
+   * sandbox options for any it leaves out
+   */
+  applyLimits(limits) {
+    const pick = name => (limits[name] !== undefined ? limits[name] : this.baseLimits[name]);
+    this.timeout = pick('timeout');
+    this.memoryLimit = pick('memoryLimit');
+    this.runtime.setMemoryLimit(this.memoryLimit * 1024 * 1024 * NATIVE_LIMIT_FACTOR);
+    this.httpModule.limiter.requestsPerEval = pick('httpRequestsPerEval');
+    this.httpModule.limiter.requestLimit = pick('httpRequestLimit');
+    this.stockModule.requestsPerEval = pick('stockRequestsPerEval');
+  }
+
+  /**
+   * Run one eval (see execute)
+   */
+  async runEval(code, context) {
+    this.plugins.startEval({
+      channel: context.channel || 'default', // HTTP rate limiting key
+      author: context.author,
+      isAdmin: context.isAdmin || false
+    });
     this.outputBuffer = []; // Clear output buffer
+    this.outputLines = 0;
+    this.stateReset = false;
+    this.timersCreated = 0;
+    this.uncaughtError = null;
+    this.woken = false;
 
     const vm = this.vm;
     const runtime = this.runtime;
 
+    // CPU deadline enforced inside the interpreter, so synchronous loops
+    // are interrupted instead of blocking the Node event loop
+    const startTime = Date.now();
+    this.setDeadline(this.timeout);
+
     try {
+      // Seeded randomness, a frozen clock and recorded fetch/stock results
+      const determinism = this.getDeterminism(code);
+      if (determinism) {
+        this.setDeterminism(determinism);
+      }
+
+      // Expose shared namespace definitions as lib.<name>
+      if (context.shared) {
+        this.restoreShared(context.shared);
+      }
+
+      // Restore globals persisted by earlier evals
+      if (context.state) {
+        this.restoreState(context.state);
+      }
+
       // Execute user code
-      const resultHandle = vm.evalCode(code);
+      const source = wrapTopLevelAwait(code) || code;
+      const evalStart = performance.now();
+      const evalResult = vm.evalCode(source);
+      this.resources.cpuTime += performance.now() - evalStart;
+      this.sampleMemory();
 
-      // Wait for all async operations to complete
-      const actualHandle = resultHandle.value || resultHandle;
-      const startTime = Date.now();
-      const maxWaitMs = this.timeout;
+      if (evalResult.error) {
+        const error = vm.dump(evalResult.error);
+        evalResult.error.dispose();
+        return this.errorResult(error);
+      }
+
+      const actualHandle = evalResult.value;
+      const deadline = startTime + this.timeout;
 
       // Check if this is a promise by checking the type
       const typename = vm.typeof(actualHandle);
@@ -300,57 +515,82 @@ class Sandbox {
         }
       }
 
-      if (isPromise && promiseState && promiseState.type === 'pending') {
-        // For pending promises, keep checking state and running jobs until settled
-        let iterations = 0;
-        while (Date.now() - startTime < maxWaitMs) {
-          // Execute any pending QuickJS jobs
-          await runtime.executePendingJobs();
+      const isPending = () => isPromise && promiseState.type === 'pending';
 
-          // Wait for Node.js async operations
-          await new Promise(resolve => setTimeout(resolve, 50));
+      // Run jobs each time a host promise (fetch, timer, ...) settles, until
+      // the result has settled and no timers are armed. A promise nothing
+      // host-side is working on can never settle, so it is not waited for
+      let jobError = this.runPendingJobs();
+      while (!jobError) {
+        if (isPending()) {
+          promiseState = vm.getPromiseState(actualHandle);
+        }
+        if ((!isPending() && this.activeTimers() === 0) || this.hostPromises.size === 0) {
+          break;
+        }
 
-          // Execute jobs again after waiting
-          await runtime.executePendingJobs();
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          if (isPending()) {
+            jobError = INTERRUPTED;
+          }
+          break;
+        }
 
-          // Check if promise has settled
-          const currentState = vm.getPromiseState(actualHandle);
+        await this.waitForHost(remaining);
+        jobError = this.runPendingJobs();
+      }
 
-          if (currentState.type === 'fulfilled' || currentState.type === 'rejected') {
-            promiseState = currentState;
-            break;
-          }
+      if (jobError) {
+        actualHandle.dispose();
+        return this.errorResult(jobError);
+      }
 
-          iterations++;
-          if (iterations > 20) {
-            // Give up after 20 iterations (~1 second)
-            break;
-          }
-        }
-      } else {
-        // Not a promise or already settled, just execute any pending jobs
-        await runtime.executePendingJobs();
+      // Intervals (or long timeouts) still armed at the deadline are dropped
+      const cancelled = this.clearTimers();
+      if (cancelled > 0) {
+        this.writeOutput('warn', `[${cancelled} timer${cancelled > 1 ? 's' : ''} cancelled at the ${this.timeout}ms deadline]`);
       }
 
       // Get the final result
       let finalResult;
+      let inspection;
       try {
         // Only use promise resolution for actual promises
         if (isPromise) {
           // Use the promiseState directly
           if (promiseState.type === 'rejected' && promiseState.error) {
             const error = vm.dump(promiseState.error);
+
+            // Resource limits hit inside async code are reported like sync ones
+            const limitError = this.errorResult(error);
+            if (limitError.errorType) {
+              promiseState.error.dispose();
+              actualHandle.dispose();
+              return limitError;
+            }
+
+            const errorInspection = this.inspect(promiseState.error);
             if (promiseState.error.alive) promiseState.error.dispose();
+
             finalResult = { type: 'rejected', error };
+            inspection = {
+              text: `Uncaught ${errorInspection.text}`,
+              type: 'rejected',
+              className: errorInspection.className
+            };
           } else if (promiseState.type === 'fulfilled' && promiseState.value) {
-            finalResult = vm.dump(promiseState.value);
+            inspection = this.inspect(promiseState.value);
+            finalResult = this.dumpValue(promiseState.value);
             if (promiseState.value.alive) promiseState.value.dispose();
           } else {
             finalResult = { type: promiseState.type };
+            inspection = { text: 'Promise { <pending> }', type: 'promise', className: 'Promise' };
           }
         } else {
-          // Not a promise, just dump the value
-          finalResult = vm.dump(actualHandle);
+          // Not a promise, inspect and dump the value
+          inspection = this.inspect(actualHandle);
+          finalResult = this.dumpValue(actualHandle);
         }
 
         // Dispose the handle if it's still alive
@@ -362,21 +602,575 @@ class Sandbox {
         finalResult = undefined;
       }
 
-      return {
+      const result = {
         success: true,
-        result: finalResult,
-        output: this.outputBuffer.join('\n')
+        result: finalResult
       };
 
+      // util.inspect-style text plus type metadata for display
+      if (inspection) {
+        result.display = inspection.text;
+        result.resultType = inspection.type;
+        result.className = inspection.className;
+      }
+
+      // PNG charts from chartImage(), posted with the reply unless the eval threw
+      if (this.chartModule.images.length > 0 && result.resultType !== 'rejected') {
+        result.images = this.chartModule.images;
+      }
+
+      if (context.persist) {
+        result.state = this.snapshotState(code);
+      }
+
+      return { ...result, ...this.collectOutput() };
+
     } catch (error) {
+      return this.errorResult(error);
+    } finally {
+      this.clearTimers();
+      this.releaseHostPromises();
+      if (this.determinism) {
+        this.setDeterminism(null);
+      }
+    }
+  }
+
+  /**
+   * Deterministic settings for an eval: from the deterministic option, or a
+   * leading "// @deterministic seed=42 now=2024-01-01T00:00:00Z" comment,
+   * whose values take precedence
+   * @returns {object|null} - { seed, now } or null for a normal eval
+   * @throws {TypeError} - If the seed or time is invalid
+   */
+  getDeterminism(code) {
+    const pragma = code.match(DETERMINISTIC_PRAGMA);
+    if (!pragma && !this.deterministic) {
+      return null;
+    }
+
+    const settings = { ...DETERMINISTIC_DEFAULTS };
+    if (this.deterministic && typeof this.deterministic === 'object') {
+      for (const name of ['seed', 'now']) {
+        if (this.deterministic[name] !== undefined) {
+          settings[name] = this.deterministic[name];
+        }
+      }
+    }
+    for (const [, name, value] of (pragma ? pragma[1] : '').matchAll(/\b(seed|now)=(\S+)/g)) {
+      settings[name] = value;
+    }
+
+    const seed = Number(settings.seed);
+    const now = /^-?\d+$/.test(String(settings.now)) ? Number(settings.now) : Date.parse(settings.now);
+    if (!Number.isInteger(seed)) {
+      throw new TypeError(`Invalid deterministic seed: ${settings.seed}`);
+    }
+    if (isNaN(now)) {
+      throw new TypeError(`Invalid deterministic time: ${settings.now}`);
+    }
+    return { seed: seed >>> 0, now };
+  }
+
+  /**
+   * Turn deterministic mode on with the given settings, or off with null
+   */
+  setDeterminism(settings) {
+    const vm = this.vm;
+
+    if (!settings) {
+      this.setDeadline(500); // The eval's deadline may have passed
+    }
+
+    const argHandles = settings ? [vm.newNumber(settings.seed), vm.newNumber(settings.now)] : [];
+    const result = vm.callFunction(this.determinismHandle, vm.undefined, ...(settings ? argHandles : [vm.null]));
+    argHandles.forEach(handle => handle.dispose());
+    if (result.error) {
+      result.error.dispose();
+    } else {
+      result.value.dispose();
+    }
+
+    this.plugins.useFixtures(settings ? this.fixtures : null);
+    this.determinism = settings ? { ...settings, counter: 0 } : null;
+  }
+
+  /**
+   * Reproducible stand-in for crypto.randomBytes in deterministic evals
+   */
+  seededBytes(size) {
+    const blocks = [];
+    for (let length = 0; length < size; length += 32) {
+      blocks.push(crypto.createHash('sha256')
+        .update(`${this.determinism.seed}:${this.determinism.counter++}`)
+        .digest());
+    }
+    return Buffer.concat(blocks).subarray(0, size);
+  }
+
+  /**
+   * Create a VM promise settled by async host work
+   * run() resolves to a string (or undefined) and errors reject as VM
+   * errors; settling wakes the execute loop so QuickJS jobs run right away
+   * @returns {QuickJSDeferredPromise}
+   */
+  hostPromise(run) {
+    const vm = this.vm;
+    const deferred = vm.newPromise();
+
+    this.hostPromises.add(deferred);
+    deferred.settled.then(() => {
+      this.hostPromises.delete(deferred);
+      this.wake();
+    });
+
+    (async () => run())().then((value) => {
+      if (!deferred.alive) {
+        return; // Released when the eval ended
+      }
+      if (value === undefined) {
+        deferred.resolve();
+        return;
+      }
+      const valueHandle = vm.newString(value);
+      deferred.resolve(valueHandle);
+      valueHandle.dispose();
+    }, (error) => {
+      if (!deferred.alive) {
+        return;
+      }
+      // Standard error types keep their name; anything else is a plain Error
+      const errorHandle = vm.newError({
+        name: ERROR_NAMES.includes(error.name) ? error.name : 'Error',
+        message: error.message !== undefined ? String(error.message) : String(error)
+      });
+      deferred.reject(errorHandle);
+      errorHandle.dispose();
+    });
+
+    return deferred;
+  }
+
+  /**
+   * Drop a host promise that will never be settled
+   */
+  releaseHostPromise(deferred) {
+    this.hostPromises.delete(deferred);
+    deferred.dispose();
+  }
+
+  /**
+   * Drop every unsettled host promise (work still in flight when the eval ends)
+   */
+  releaseHostPromises() {
+    for (const deferred of [...this.hostPromises]) {
+      this.releaseHostPromise(deferred);
+    }
+  }
+
+  /**
+   * Resume the execute loop after a host promise settled
+   */
+  wake() {
+    if (this.wakeUp) {
+      this.wakeUp();
+    } else {
+      this.woken = true;
+    }
+  }
+
+  /**
+   * Wait until a host promise settles or ms pass
+   */
+  waitForHost(ms) {
+    if (this.woken) {
+      this.woken = false;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const timeout = setTimeout(() => this.wakeUp(), ms);
+      this.wakeUp = () => {
+        clearTimeout(timeout);
+        this.wakeUp = null;
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Number of timers waiting to fire
+   */
+  activeTimers() {
+    let count = 0;
+    for (const timer of this.timers.values()) {
+      if (timer.timeout) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Cancel a timer, releasing its pending VM promise
+   */
+  clearTimer(id) {
+    const timer = this.timers.get(id);
+    if (!timer) {
+      return;
+    }
+    if (timer.timeout) {
+      clearTimeout(timer.timeout);
+      this.releaseHostPromise(timer.promise);
+    }
+    this.timers.delete(id);
+  }
+
+  /**
+   * Cancel every timer of the current eval
+   * @returns {number} - How many timers were still armed
+   */
+  clearTimers() {
+    const armed = this.activeTimers();
+    for (const id of [...this.timers.keys()]) {
+      this.clearTimer(id);
+    }
+    return armed;
+  }
+
+  /**
+   * Record console output, enforcing the per-eval line cap
+   */
+  writeOutput(level, text) {
+    const remaining = this.maxOutputLines - this.outputLines;
+    if (remaining < 0) {
+      return; // Already truncated
+    }
+
+    const lines = text.split('\n');
+    if (lines.length > remaining) {
+      if (remaining > 0) {
+        this.outputBuffer.push({ level, text: lines.slice(0, remaining).join('\n') });
+      }
+      this.outputBuffer.push({ level: 'warn', text: `[output truncated at ${this.maxOutputLines} lines]` });
+      this.outputLines = this.maxOutputLines + 1;
+      return;
+    }
+
+    this.outputLines += lines.length;
+    this.outputBuffer.push({ level, text });
+  }
+
+  /**
+   * Console output for a result: plain text plus entries with levels
+   */
+  collectOutput() {
+    return {
+      output: this.outputBuffer.map(entry => entry.text).join('\n'),
+      logs: this.outputBuffer
+    };
+  }
+
+  /**
+   * Interrupt VM execution once the given number of milliseconds has passed,
+   * or once it uses more than memoryLimit
+   */
+  setDeadline(ms) {
+    const deadline = Date.now() + ms;
+    let nextMemoryCheck = 0;
+    this.interrupted = false;
+    this.runtime.setInterruptHandler(() => {
+      if (this.resources) {
+        this.resources.interrupts++; // Called periodically while code runs
+      }
+      const now = Date.now();
+      if (now > deadline) {
+        this.interrupted = true;
+      } else if (now >= nextMemoryCheck) {
+        nextMemoryCheck = now + MEMORY_CHECK_INTERVAL;
+        this.sampleMemory();
+      }
+      return this.interrupted || this.memoryExceeded;
+    });
+  }
+
+  /**
+   * Record the runtime's memory use if it is the highest seen this eval
+   * (sampled after each stretch of VM execution and while it runs), and
+   * flag the eval once it is over the limit
+   */
+  sampleMemory() {
+    let used;
+    try {
+      const handle = this.runtime.computeMemoryUsage();
+      used = this.vm.getProp(handle, 'memory_used_size').consume(size => this.vm.getNumber(size));
+      handle.dispose();
+    } catch (e) {
+      return; // No memory left to measure with: QuickJS's own limit error is reported
+    }
+    if (this.resources) {
+      this.resources.peakMemory = Math.max(this.resources.peakMemory, used);
+    }
+    if (used > this.memoryLimit * 1024 * 1024) {
+      this.memoryExceeded = true;
+    }
+  }
+
+  /**
+   * Format a VM value with the in-sandbox inspector
+   * @returns {object} - { text, type, className }
+   */
+  inspect(handle) {
+    const vm = this.vm;
+
+    // Getters and proxies run user code, so inspection gets its own deadline
+    this.setDeadline(500);
+
+    const optionsHandle = vm.unwrapResult(vm.evalCode(`(${JSON.stringify(this.inspectOptions)})`));
+    const result = vm.callFunction(this.inspectHandle, vm.undefined, handle, optionsHandle);
+    optionsHandle.dispose();
+
+    if (result.error) {
+      const error = vm.dump(result.error);
+      result.error.dispose();
+      return {
+        text: `[Uninspectable: ${error && error.message !== undefined ? error.message : error}]`,
+        type: 'unknown',
+        className: null
+      };
+    }
+
+    const info = vm.dump(result.value);
+    result.value.dispose();
+    return info;
+  }
+
+  /**
+   * Dump a VM value to a host value, tolerating values JSON can't represent
+   */
+  dumpValue(handle) {
+    try {
+      return this.vm.dump(handle);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Define previously persisted globals in the fresh context
+   * Functions are re-created from their source, everything else from JSON
+   */
+  restoreState(stateJson) {
+    this.evalInternal(`(() => {
+      const state = JSON.parse(${JSON.stringify(stateJson)});
+      for (const name of Object.keys(state)) {
+        const entry = state[name];
+        try {
+          globalThis[name] = 'source' in entry
+            ? new Function('return (' + entry.source + ')')()
+            : entry.value;
+        } catch (e) {
+          // Skip definitions that no longer compile
+        }
+      }
+    })()`);
+  }
+
+  /**
+   * Define the shared namespace's functions on the lib global
+   * Each is compiled on first access, so evals that don't use lib run none
+   * of them (SharedNamespace.checkSource only lets through expressions that
+   * run no code when compiled)
+   */
+  restoreShared(definitions) {
+    const vm = this.vm;
+    const sourceHandle = vm.newFunction('source', (nameHandle) => {
+      const name = vm.getString(nameHandle);
+      return Object.hasOwn(definitions, name) ? vm.newString(definitions[name]) : vm.undefined;
+    });
+    const installHandle = vm.unwrapResult(vm.evalCode(`(source, names) => {
+      for (const name of JSON.parse(names)) {
+        Object.defineProperty(lib, name, {
+          configurable: true,
+          enumerable: true,
+          get() {
+            let value;
+            try {
+              value = new Function('return (' + source(name) + ')')();
+            } catch (e) {
+              // Definitions that no longer compile read as undefined
+            }
+            Object.defineProperty(lib, name, { value, writable: true, configurable: true, enumerable: true });
+            return value;
+          },
+          set(value) {
+            Object.defineProperty(lib, name, { value, writable: true, configurable: true, enumerable: true });
+          }
+        });
+      }
+    }`));
+    const namesHandle = vm.newString(JSON.stringify(Object.keys(definitions)));
+    try {
+      vm.unwrapResult(vm.callFunction(installHandle, vm.undefined, sourceHandle, namesHandle)).dispose();
+    } finally {
+      namesHandle.dispose();
+      installHandle.dispose();
+      sourceHandle.dispose();
+    }
+  }
+
+  /**
+   * Serialize user-defined globals (var/function properties plus top-level
+   * const/let/class bindings found in the code) for the next eval
+   * Returns null when the user called reset() or nothing is left to save
+   */
+  snapshotState(code) {
+    if (this.stateReset) {
+      return null;
+    }
+
+    const lexicalNames = new Set();
+    const declaration = /(?:^|[;{}\n])\s*(?:const|let|class)\s+([A-Za-z_$][\w$]*)/g;
+    let match;
+    while ((match = declaration.exec(code)) !== null) {
+      lexicalNames.add(match[1]);
+    }
+
+    const baseGlobals = JSON.stringify([...this.baseGlobals]);
+    const readers = [...lexicalNames]
+      .map(name => `__snapshot.add(${JSON.stringify(name)}, () => ${name});`)
+      .join('\n');
+
+    // Give the snapshot its own short deadline, the eval's may have passed
+    this.setDeadline(500);
+
+    let stateJson;
+    try {
+      // A single local name so user bindings are not shadowed by helpers
+      stateJson = this.evalInternal(`(() => {
+        const __snapshot = {
+          base: new Set(${baseGlobals}),
+          state: {},
+          add(name, get) {
+            try {
+              const value = get();
+              if (typeof value === 'function') {
+                const source = Function.prototype.toString.call(value);
+                if (!source.includes('[native code]')) {
+                  __snapshot.state[name] = { source };
+                }
+              } else if (value !== undefined) {
+                const json = JSON.stringify(value);
+                if (json !== undefined) {
+                  __snapshot.state[name] = { value: JSON.parse(json) };
+                }
+              }
+            } catch (e) {
+              // Unreadable (TDZ, block-scoped) or unserializable (cyclic)
+            }
+          }
+        };
+        for (const name of Object.getOwnPropertyNames(globalThis)) {
+          if (!__snapshot.base.has(name)) __snapshot.add(name, () => globalThis[name]);
+        }
+        ${readers}
+        return JSON.stringify(__snapshot.state);
+      })()`);
+    } catch (error) {
+      this.writeOutput('warn', `[state not saved: ${error.message}]`);
+      return undefined;
+    }
+
+    if (stateJson === '{}') {
+      return null;
+    }
+
+    const size = Buffer.byteLength(stateJson, 'utf8');
+    if (size > this.stateQuota) {
+      this.writeOutput('warn', `[state not saved: ${size} bytes exceeds ${this.stateQuota} byte quota]`);
+      return undefined;
+    }
+
+    return stateJson;
+  }
+
+  /**
+   * Run queued QuickJS jobs, returning the dumped error if one was thrown
+   * (including interrupts and out-of-memory inside promise callbacks, and
+   * uncaught errors from timer callbacks)
+   */
+  runPendingJobs() {
+    const jobsStart = performance.now();
+    const jobsResult = this.runtime.executePendingJobs();
+    this.resources.cpuTime += performance.now() - jobsStart;
+    this.sampleMemory();
+
+    if (jobsResult.error) {
+      const error = this.vm.dump(jobsResult.error);
+      jobsResult.error.dispose();
+      return error;
+    }
+    if (this.interrupted || this.memoryExceeded) {
+      // A callback was interrupted but its promise swallowed the error
+      return INTERRUPTED;
+    }
+    return this.uncaughtError;
+  }
+
+  /**
+   * Build a failed result, marking timeouts and memory exhaustion so
+   * callers can render them differently from ordinary exceptions
+   */
+  errorResult(error) {
+    let message;
+    if (error && typeof error === 'object' && error.message !== undefined) {
+      message = error.name && error.name !== 'Error'
+        ? `${error.name}: ${error.message}`
+        : String(error.message);
+    } else {
+      message = String(error);
+    }
+
+    // Keep console output written before the failure
+    const output = this.outputBuffer.length > 0 ? this.collectOutput() : {};
+
+    // Only the host's deadline and memory checks set these flags, so user
+    // errors that merely mention timeouts or memory are reported as they are
+    if (this.memoryExceeded) {
       return {
         success: false,
-        error: error.message || String(error)
+        errorType: 'memory',
+        error: `Out of memory (limit ${this.memoryLimit}MB)`,
+        ...output
       };
     }
+    if (error === INTERRUPTED || this.interrupted) {
+      return {
+        success: false,
+        errorType: 'timeout',
+        error: `Execution timed out after ${this.timeout}ms`,
+        ...output
+      };
+    }
+
+    return {
+      success: false,
+      error: message,
+      ...output
+    };
   }
 
   dispose() {
+    if (this.vm) {
+      this.clearTimers();
+      this.releaseHostPromises();
+    }
+    if (this.inspectHandle) {
+      this.inspectHandle.dispose();
+      this.inspectHandle = null;
+    }
+    if (this.determinismHandle) {
+      this.determinismHandle.dispose();
+      this.determinismHandle = null;
+    }
     if (this.vm) {
       this.vm.dispose();
       this.vm = null;
@@ -0,0 +1,368 @@
+// Shared namespace of collaboratively defined functions
+// Every change is kept as a version (author, timestamp, source), smeggdrop-style
+
+const acorn = require('acorn');
+const JsonFile = require('./json-file');
+
+const NAME_PATTERN = /^[A-Za-z_$][\w$]{0,63}$/;
+
+// Expressions a definition may be; evaluating one runs none of its code
+const DEFINITION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression', 'ClassExpression'];
+
+class SharedNamespace {
+  constructor(options = {}) {
+    this.file = options.file || null; // JSON file for persistence (optional)
+    this.maxSourceSize = options.maxSourceSize || 8192; // bytes per definition
+    this.maxVersions = options.maxVersions || 50; // history kept per name
+    this.maxNames = options.maxNames || 1000;
+    this.maxDiffCells = options.maxDiffCells || 250000; // LCS table size before diff() falls back
+    this.revision = 0; // Bumped on every change, so sandbox threads know when to refetch
+
+    // name -> { owner, locked, deleted, nextVersion, versions: [{ version, author, timestamp, source }] }
+    this.entries = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Load definitions from the persistence file
+   */
+  load() {
+    const data = JsonFile.load(this.file, 'Namespace');
+    if (!data) {
+      return;
+    }
+
+    for (const [name, entry] of Object.entries(data)) {
+      this.entries.set(name, entry);
+    }
+    console.log(`[Namespace] Loaded ${this.entries.size} definitions`);
+  }
+
+  /**
+   * Write definitions to the persistence file
+   */
+  save() {
+    this.revision++;
+    if (!this.file) {
+      return;
+    }
+
+    JsonFile.save(this.file, Object.fromEntries(this.entries));
+  }
+
+  /**
+   * Get the latest source of every live definition
+   * @returns {object} - { name: source }
+   */
+  definitions() {
+    const result = {};
+    for (const [name, entry] of this.entries.entries()) {
+      if (!entry.deleted) {
+        result[name] = entry.versions[entry.versions.length - 1].source;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Check that a source is a single function or class expression, so
+   * compiling it in a sandbox (see Sandbox.restoreShared) runs no code
+   * @throws {Error} - If it is anything else
+   */
+  static checkSource(source) {
+    let node;
+    try {
+      node = acorn.parseExpressionAt(source, 0, { ecmaVersion: 'latest', preserveParens: true });
+    } catch (error) {
+      throw new Error(`Source must be a function: ${error.message}`);
+    }
+    if (!DEFINITION_TYPES.includes(node.type) || source.slice(node.end).trim() !== '') {
+      throw new Error('Source must be a single function or class');
+    }
+
+    // Class bodies run when the class is created: extends clauses, computed
+    // keys, static fields and static blocks
+    if (node.type === 'ClassExpression') {
+      const runsCode = (node.superClass && node.superClass.type !== 'Identifier') ||
+        node.body.body.some(member => member.type === 'StaticBlock' || member.computed ||
+          (member.static && member.type === 'PropertyDefinition' && member.value));
+      if (runsCode) {
+        throw new Error('Classes may not run code when defined (extends expressions, computed keys, static fields or blocks)');
+      }
+    }
+  }
+
+  /**
+   * Look up a definition, throwing if it does not exist
+   */
+  getEntry(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`No shared definition named ${name}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Check that the caller may change a definition
+   * Owners may always write; others only if the owner unlocked it; admins always
+   */
+  checkWrite(entry, name, caller) {
+    if (caller.isAdmin || entry.owner === caller.author) {
+      return;
+    }
+    if (entry.locked) {
+      throw new Error(`${name} is owned by ${entry.owner}`);
+    }
+  }
+
+  /**
+   * Append a version to a definition
+   */
+  addVersion(entry, author, source) {
+    const version = {
+      version: entry.nextVersion++,
+      author,
+      timestamp: new Date().toISOString(),
+      source
+    };
+
+    entry.versions.push(version);
+    if (entry.versions.length > this.maxVersions) {
+      entry.versions.shift();
+    }
+
+    return version;
+  }
+
+  /**
+   * Publish (or update) a named function
+   *
+   * @param {string} name - Identifier the function is exposed under
+   * @param {string} source - Function source text
+   * @param {object} caller - { author, isAdmin }
+   * @returns {object} - { name, version }
+   */
+  publish(name, source, caller) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error('Name must be a valid identifier (max 64 characters)');
+    }
+    if (typeof source !== 'string' || !source) {
+      throw new Error('Source must be a function');
+    }
+    if (Buffer.byteLength(source, 'utf8') > this.maxSourceSize) {
+      throw new Error(`Definition exceeds ${this.maxSourceSize} bytes`);
+    }
+    SharedNamespace.checkSource(source);
+
+    let entry = this.entries.get(name);
+
+    if (entry && !entry.deleted) {
+      this.checkWrite(entry, name, caller);
+    } else if (entry) {
+      // Re-publishing a removed name keeps its history but takes ownership
+      this.checkWrite(entry, name, caller);
+      entry.owner = caller.author;
+      entry.deleted = false;
+    } else {
+      if (this.entries.size >= this.maxNames) {
+        throw new Error(`Namespace is full (max ${this.maxNames} definitions)`);
+      }
+      entry = {
+        owner: caller.author,
+        locked: true,
+        deleted: false,
+        nextVersion: 1,
+        versions: []
+      };
+      this.entries.set(name, entry);
+    }
+
+    const version = this.addVersion(entry, caller.author, source);
+    this.save();
+
+    console.log(`[Namespace] ${caller.author} published ${name} v${version.version}`);
+    return { name, version: version.version };
+  }
+
+  /**
+   * Get the source of a definition (latest or a specific version)
+   */
+  source(name, version) {
+    const entry = this.getEntry(name);
+    if (version === undefined || version === null) {
+      return entry.versions[entry.versions.length - 1].source;
+    }
+    return this.getVersion(entry, name, version).source;
+  }
+
+  /**
+   * Find a version record
+   */
+  getVersion(entry, name, version) {
+    const found = entry.versions.find(v => v.version === Number(version));
+    if (!found) {
+      throw new Error(`${name} has no version ${version}`);
+    }
+    return found;
+  }
+
+  /**
+   * List version history for a definition (without sources)
+   */
+  history(name) {
+    const entry = this.getEntry(name);
+    return entry.versions.map(v => ({
+      version: v.version,
+      author: v.author,
+      timestamp: v.timestamp
+    }));
+  }
+
+  /**
+   * Line diff between two versions (defaults to previous vs latest)
+   * Only changed lines are returned, prefixed with - or +
+   */
+  diff(name, from, to) {
+    const entry = this.getEntry(name);
+    const latest = entry.versions[entry.versions.length - 1].version;
+
+    if (to === undefined || to === null) {
+      to = latest;
+    }
+    if (from === undefined || from === null) {
+      from = Number(to) - 1;
+    }
+
+    let a = this.getVersion(entry, name, from).source.split('\n');
+    let b = this.getVersion(entry, name, to).source.split('\n');
+
+    // Unchanged lines at either end need no table
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+      a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+    a = a.slice(prefix, a.length - suffix);
+    b = b.slice(prefix, b.length - suffix);
+
+    // Too big to compare line by line (this runs on the bot's main thread):
+    // show the changed block as replaced
+    if ((a.length + 1) * (b.length + 1) > this.maxDiffCells) {
+      return [...a.map(line => `-${line}`), ...b.map(line => `+${line}`)].join('\n');
+    }
+
+    // Longest common subsequence table
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        lines.push(`-${a[i++]}`);
+      } else {
+        lines.push(`+${b[j++]}`);
+      }
+    }
+    while (i < a.length) lines.push(`-${a[i++]}`);
+    while (j < b.length) lines.push(`+${b[j++]}`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Revert a definition to an earlier version (recorded as a new version)
+   */
+  revert(name, version, caller) {
+    const entry = this.getEntry(name);
+    this.checkWrite(entry, name, caller);
+
+    const target = this.getVersion(entry, name, version);
+    entry.deleted = false;
+    const reverted = this.addVersion(entry, caller.author, target.source);
+    this.save();
+
+    console.log(`[Namespace] ${caller.author} reverted ${name} to v${target.version}`);
+    return { name, version: reverted.version };
+  }
+
+  /**
+   * Remove a definition (history is kept so it can be reverted)
+   */
+  remove(name, caller) {
+    const entry = this.getEntry(name);
+    this.checkWrite(entry, name, caller);
+
+    entry.deleted = true;
+    this.save();
+
+    console.log(`[Namespace] ${caller.author} removed ${name}`);
+    return { name, removed: true };
+  }
+
+  /**
+   * Lock or unlock a definition for edits by other users
+   */
+  setLocked(name, locked, caller) {
+    const entry = this.getEntry(name);
+    if (!caller.isAdmin && entry.owner !== caller.author) {
+      throw new Error(`${name} is owned by ${entry.owner}`);
+    }
+
+    entry.locked = locked;
+    this.save();
+    return { name, locked };
+  }
+
+  /**
+   * List live definitions with owner and latest version
+   */
+  list() {
+    const result = [];
+    for (const [name, entry] of this.entries.entries()) {
+      if (!entry.deleted) {
+        result.push({
+          name,
+          owner: entry.owner,
+          locked: entry.locked,
+          version: entry.versions[entry.versions.length - 1].version
+        });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Host functions exposed to sandboxes through SandboxPool
+   * Each receives the call arguments and the calling user's identity
+   */
+  getHostHandlers() {
+    return {
+      'namespace.publish': ([name, source], caller) => this.publish(name, source, caller),
+      'namespace.source': ([name, version]) => this.source(name, version),
+      'namespace.history': ([name]) => this.history(name),
+      'namespace.diff': ([name, from, to]) => this.diff(name, from, to),
+      'namespace.revert': ([name, version], caller) => this.revert(name, version, caller),
+      'namespace.remove': ([name], caller) => this.remove(name, caller),
+      'namespace.lock': ([name], caller) => this.setLocked(name, true, caller),
+      'namespace.unlock': ([name], caller) => this.setLocked(name, false, caller),
+      'namespace.list': () => this.list(),
+      // For sandbox threads refreshing their copy, not sandbox code (see Sandbox._host)
+      'namespace.definitions': () => ({ revision: this.revision, definitions: this.definitions() })
+    };
+  }
+}
+
+module.exports = SharedNamespace;
@@ -0,0 +1,239 @@
+// SSRF protection for sandbox HTTP requests
+// Blocks loopback, link-local, private and internal addresses at DNS
+// resolution time (so rebinding can't slip through) and on every redirect
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const DomainPolicy = require('./domain-policy');
+
+// Address ranges sandbox code may never connect to
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],       // private
+  ['100.64.0.0', 10],    // carrier-grade NAT
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local (cloud metadata)
+  ['172.16.0.0', 12],    // private (docker bridge networks)
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.0.2.0', 24],     // documentation
+  ['192.168.0.0', 16],   // private
+  ['198.18.0.0', 15],    // benchmarking
+  ['198.51.100.0', 24],  // documentation
+  ['203.0.113.0', 24],   // documentation
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4]       // reserved, broadcast
+];
+
+const BLOCKED_IPV6 = [
+  ['::', 128],           // unspecified
+  ['::1', 128],          // loopback
+  ['64:ff9b::', 96],     // NAT64
+  ['100::', 64],         // discard
+  ['2001:db8::', 32],    // documentation
+  ['fc00::', 7],         // unique local
+  ['fe80::', 10],        // link-local
+  ['ff00::', 8]          // multicast
+];
+
+// Hostnames that only make sense on internal networks
+const INTERNAL_SUFFIXES = ['.localhost', '.local', '.internal', '.localdomain', '.home.arpa'];
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+class SsrfGuard {
+  constructor(options = {}) {
+    this.allowedDomains = (options.allowedDomains || []).map(d => d.toLowerCase());
+    this.deniedDomains = (options.deniedDomains || []).map(d => d.toLowerCase());
+    this.maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : 5;
+    this.allowPrivateNetworks = options.allowPrivateNetworks || false; // Local development only
+
+    this.blockList = new net.BlockList();
+    for (const [address, prefix] of BLOCKED_IPV4) {
+      this.blockList.addSubnet(address, prefix, 'ipv4');
+    }
+    for (const [address, prefix] of BLOCKED_IPV6) {
+      this.blockList.addSubnet(address, prefix, 'ipv6');
+    }
+
+    const lookup = (hostname, options, callback) => this.lookup(hostname, options, callback);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  /**
+   * Check if an IP address is in a blocked range
+   */
+  isBlockedAddress(address) {
+    if (this.allowPrivateNetworks) {
+      return false;
+    }
+
+    const family = net.isIP(address);
+    if (family === 4) {
+      return this.blockList.check(address, 'ipv4');
+    }
+    if (family === 6) {
+      // BlockList also matches IPv4-mapped addresses (::ffff:a.b.c.d) against IPv4 rules
+      return this.blockList.check(address, 'ipv6');
+    }
+
+    return true; // Not an IP address at all
+  }
+
+  /**
+   * Check if a hostname matches a domain list entry (exact or subdomain,
+   * or a wildcard pattern like *.example.com)
+   */
+  matchesDomain(hostname, domains) {
+    return DomainPolicy.matchesAny(hostname, domains);
+  }
+
+  /**
+   * Validate a URL before any connection is made
+   * @throws {Error} - If the scheme, host or domain is not allowed
+   */
+  checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid URL: ${url}`);
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error(`Only http and https URLs are allowed (got ${parsed.protocol})`);
+    }
+
+    const hostname = DomainPolicy.normalize(parsed.hostname);
+
+    if (this.matchesDomain(hostname, this.deniedDomains)) {
+      throw new Error(`Requests to ${hostname} are not allowed`);
+    }
+
+    if (this.allowedDomains.length > 0 && !this.matchesDomain(hostname, this.allowedDomains)) {
+      throw new Error(`Requests to ${hostname} are not allowed (domain not on allow list)`);
+    }
+
+    if (net.isIP(hostname)) {
+      // IP literals skip DNS, so the resolver guard never sees them
+      if (this.isBlockedAddress(hostname)) {
+        throw new Error(`Requests to private or internal addresses are not allowed (${hostname})`);
+      }
+    } else if (!this.allowPrivateNetworks &&
+               (!hostname.includes('.') || hostname === 'localhost' ||
+                INTERNAL_SUFFIXES.some(suffix => hostname.endsWith(suffix)))) {
+      // Single-label names like "redis" resolve on the docker network
+      throw new Error(`Requests to internal hostnames are not allowed (${hostname})`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * DNS lookup used by the HTTP agents
+   * Fails the connection if any resolved address is blocked
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    } else if (typeof options === 'number') {
+      options = { family: options };
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const blocked = addresses.find(a => this.isBlockedAddress(a.address));
+      if (blocked) {
+        const blockError = new Error(`${hostname} resolves to a private or internal address (${blocked.address})`);
+        blockError.code = 'ESSRF';
+        callback(blockError);
+        return;
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * Pick the guarded agent for a URL (node-fetch agent option)
+   */
+  getAgent(parsedUrl) {
+    return parsedUrl.protocol === 'http:' ? this.httpAgent : this.httpsAgent;
+  }
+
+  /**
+   * fetch() that validates the URL and every redirect hop
+   *
+   * @param {string} url - Request URL
+   * @param {object} options - node-fetch options (method, headers, body, ...),
+   *   plus beforeHop: async (parsedUrl) => extra options for that hop, called
+   *   for the first request and each redirect once the URL has been checked
+   * @returns {Promise<object>} - { response, url, redirected }
+   */
+  async fetch(url, options = {}) {
+    const { beforeHop, ...fetchOptions } = options;
+    let currentUrl = url;
+    let method = options.method || 'GET';
+    let body = options.body;
+    let headers = { ...options.headers };
+
+    for (let redirects = 0; ; redirects++) {
+      const parsedUrl = this.checkUrl(currentUrl);
+      const hopOptions = beforeHop ? await beforeHop(parsedUrl) : {};
+
+      const response = await fetch(currentUrl, {
+        ...fetchOptions,
+        ...hopOptions,
+        method,
+        headers,
+        body,
+        redirect: 'manual',
+        agent: (parsedUrl) => this.getAgent(parsedUrl)
+      });
+
+      const location = response.headers.get('location');
+      if (!REDIRECT_STATUSES.has(response.status) || !location) {
+        return { response, url: currentUrl, redirected: redirects > 0 };
+      }
+
+      if (redirects >= this.maxRedirects) {
+        throw new Error(`Too many redirects (max ${this.maxRedirects})`);
+      }
+
+      // Drain the redirect body so the socket is released
+      response.body.resume();
+
+      const nextUrl = new URL(location, currentUrl);
+
+      // 303, and 301/302 after POST, switch to a bodiless GET like browsers do
+      if (response.status === 303 || ((response.status === 301 || response.status === 302) && method === 'POST')) {
+        method = method === 'HEAD' ? 'HEAD' : 'GET';
+        body = undefined;
+        headers = Object.fromEntries(Object.entries(headers)
+          .filter(([name]) => name.toLowerCase() !== 'content-type'));
+      }
+
+      // Don't leak credentials to another origin
+      if (nextUrl.origin !== new URL(currentUrl).origin) {
+        headers = Object.fromEntries(Object.entries(headers)
+          .filter(([name]) => name.toLowerCase() !== 'authorization'));
+      }
+
+      currentUrl = nextUrl.href;
+    }
+  }
+}
+
+module.exports = SsrfGuard;
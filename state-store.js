@@ -0,0 +1,166 @@
+// Per-user interpreter state storage
+// Holds the serialized globals each user's evals leave behind. States live in
+// Redis in queue mode, in a JSON file in direct mode and in memory in the
+// STDIO REPL; states not updated for maxAge days are dropped
+
+const JsonFile = require('./json-file');
+const JsonFileWriter = require('./json-file-writer');
+const createRedisClient = require('./redis-client');
+
+class StateStore {
+  constructor(options = {}) {
+    this.file = options.file || null; // JSON file (direct mode)
+    this.redisConfig = options.redis || null; // Redis connection settings (queue mode)
+    this.keyPrefix = options.keyPrefix || 'smegmascript:state:';
+    this.maxAge = options.maxAge || 90; // days since the last update
+    this.maxUsers = options.maxUsers || 10000; // File and memory mode
+
+    this.redis = null;
+    this.states = new Map(); // File and memory mode: key -> { json, updated }, least recently updated first
+    this.writer = null; // File mode: batches saves into one write per saveDelay ms
+
+    if (this.redisConfig) {
+      this.redis = createRedisClient(this.redisConfig, 'State');
+    } else {
+      this.load();
+      if (this.file) {
+        this.writer = new JsonFileWriter(this.file, 'State', () => Object.fromEntries(this.states), {
+          delay: options.saveDelay
+        });
+      }
+    }
+  }
+
+  /**
+   * Load all users' states from the persistence file
+   */
+  load() {
+    const data = JsonFile.load(this.file, 'State');
+    if (!data) {
+      return;
+    }
+
+    const entries = Object.entries(data).sort(([, a], [, b]) => a.updated - b.updated);
+    for (const [key, entry] of entries) {
+      this.states.set(key, entry);
+    }
+    this.prune();
+    console.log(`[State] Loaded state for ${this.states.size} users`);
+  }
+
+  /**
+   * Write all users' states to the persistence file soon
+   */
+  save() {
+    if (this.writer) {
+      this.writer.schedule();
+    }
+  }
+
+  /**
+   * Drop states past maxAge, then the least recently updated beyond maxUsers
+   */
+  prune() {
+    const cutoff = Date.now() - this.maxAge * 86400 * 1000;
+    for (const [key, entry] of this.states) {
+      if (entry.updated > cutoff) {
+        break;
+      }
+      this.states.delete(key);
+    }
+
+    while (this.states.size > this.maxUsers) {
+      const oldest = this.states.keys().next().value;
+      this.states.delete(oldest);
+      console.log(`[State] Dropped state for ${oldest} (over ${this.maxUsers} users)`);
+    }
+  }
+
+  /**
+   * Get the serialized state for a user
+   * @param {string} key - User DID (or REPL channel)
+   * @returns {Promise<string|null>} - State JSON or null if none saved
+   */
+  async get(key) {
+    if (this.redis) {
+      return this.redis.hget(this.keyPrefix + key, 'json');
+    }
+
+    const entry = this.states.get(key);
+    return entry ? entry.json : null;
+  }
+
+  /**
+   * Save the serialized state for a user
+   */
+  async set(key, json) {
+    if (this.redis) {
+      const redisKey = this.keyPrefix + key;
+      await this.redis.multi()
+        .hset(redisKey, 'json', json, 'updated', Date.now())
+        .expire(redisKey, this.maxAge * 86400)
+        .exec();
+      return;
+    }
+
+    // Re-insert so Map order tracks recency
+    this.states.delete(key);
+    this.states.set(key, { json, updated: Date.now() });
+    this.prune();
+    this.save();
+  }
+
+  /**
+   * Wipe a user's state
+   * @returns {Promise<boolean>} - True if there was state to wipe
+   */
+  async delete(key) {
+    if (this.redis) {
+      return (await this.redis.del(this.keyPrefix + key)) > 0;
+    }
+
+    const existed = this.states.delete(key);
+    if (existed) {
+      this.save();
+    }
+    return existed;
+  }
+
+  /**
+   * Get size information for a user's state
+   * @returns {Promise<object|null>} - { bytes, names, updated }, or null if none saved
+   */
+  async describe(key) {
+    let entry;
+    if (this.redis) {
+      const { json, updated } = await this.redis.hgetall(this.keyPrefix + key);
+      entry = json === undefined ? null : { json, updated: Number(updated) };
+    } else {
+      entry = this.states.get(key);
+    }
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      bytes: Buffer.byteLength(entry.json, 'utf8'),
+      names: Object.keys(JSON.parse(entry.json)),
+      updated: entry.updated
+    };
+  }
+
+  /**
+   * Write pending changes to the file and close the Redis connection
+   */
+  async close() {
+    if (this.writer) {
+      await this.writer.flush();
+    }
+    if (this.redis) {
+      await this.redis.quit();
+      this.redis = null;
+    }
+  }
+}
+
+module.exports = StateStore;
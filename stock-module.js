@@ -1,22 +1,89 @@
-// Stock price module using Yahoo Finance
-// Provides stock quotes with caching and rate limiting
-
-const YahooFinance = require('yahoo-finance2').default;
+// Stock price module
+// Provides stock quotes with caching and rate limiting; the data comes from
+// the configured market-data providers (see market-data.js)
+
+const MarketData = require('./market-data');
+const Indicators = require('./indicators');
+
+const DAY = 86400000;
+
+// Periods back from now, in days ('ytd' and 'max' are computed)
+const PERIODS = {
+  '1d': 1, '5d': 5, '1mo': 30, '3mo': 91, '6mo': 182, '1y': 365, '2y': 730, '5y': 1826, '10y': 3652
+};
+const PERIOD_NAMES = ['1d', '5d', '1mo', '3mo', '6mo', 'ytd', '1y', '2y', '5y', '10y', 'max'];
+
+// Bar intervals in minutes, and how far back intraday data goes (days)
+const INTERVALS = {
+  '1m': 1, '2m': 2, '5m': 5, '15m': 15, '30m': 30, '60m': 60, '90m': 90, '1h': 60,
+  '1d': 1440, '5d': 7200, '1wk': 10080, '1mo': 43200, '3mo': 129600
+};
+const INTRADAY_HISTORY = { '1m': 7, '60m': 730, '1h': 730 }; // Other intraday intervals: 60 days
+
+// Default interval for a span of up to N days
+const DEFAULT_INTERVALS = [[1, '5m'], [5, '15m'], [60, '1h'], [731, '1d'], [3653, '1wk'], [Infinity, '1mo']];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// In-VM wrapper giving stockChart() results (and the promise it returns)
+// methods: render() draws the quotes with the text-charts.js globals, image()
+// attaches them as a chart image (see chart-module.js), and sma(), rsi(), ...
+// compute indicators on the closes (see indicators.js)
+const PRELUDE = `
+  const fetchChart = globalThis.stockChart;
+  const chartImage = globalThis.chartImage;
+  const indicator = globalThis.indicator;
+  const renderers = { sparkline: globalThis.sparkline, candles: globalThis.candlesticks };
+  const methods = {
+    render(options = {}) {
+      const type = options.type || 'sparkline';
+      if (!renderers[type]) {
+        throw new TypeError('Unknown chart type: ' + type + ' (use sparkline or candles)');
+      }
+      const chart = renderers[type](this.quotes, options);
+      return type === 'candles' ? this.symbol + '\\n' + chart : this.symbol + ' ' + chart;
+    },
+    image(options = {}) {
+      return chartImage(this.quotes, { type: 'candles', title: this.symbol, timezone: this.timezone, ...options });
+    }
+  };
+  for (const name of ${JSON.stringify(Indicators.names)}) {
+    // A number is the period: chart.sma(50)
+    methods[name] = function(options = {}) {
+      return indicator(name, this.quotes, typeof options === 'number' ? { period: options } : options);
+    };
+  }
+  globalThis.stockChart = function stockChart(...args) {
+    const promise = fetchChart(...args).then((result) => {
+      for (const [name, method] of Object.entries(methods)) {
+        Object.defineProperty(result, name, { value: method });
+      }
+      return result;
+    });
+    for (const name of Object.keys(methods)) {
+      promise[name] = options => promise.then(result => result[name](options));
+    }
+    return promise;
+  };
+`;
 
 class StockModule {
   constructor(options = {}) {
-    this.yahooFinance = new YahooFinance({ suppressNotices: ['yahooSurvey'] });
+    this.market = options.market || MarketData.fromConfig(options.providers); // Provider chain
     this.cacheTTL = options.cacheTTL || 60000; // 1 minute default cache
     this.cache = new Map(); // symbol -> { data, timestamp }
     this.requestsPerEval = options.requestsPerEval || 10; // Max 10 stocks per eval
+    this.maxBars = options.maxBars || 5000; // Largest chart, estimated before fetching
     this.evalRequestCount = 0;
+    this.evalCallCount = 0; // stock()/stocks()/stockChart() calls, cached or not
   }
 
   /**
-   * Start a new eval session (reset request counter)
+   * Start a new eval session (reset request counters)
    */
   startEval() {
     this.evalRequestCount = 0;
+    this.evalCallCount = 0;
   }
 
   /**
@@ -79,22 +146,7 @@ class StockModule {
     this.evalRequestCount++;
 
     try {
-      const quote = await this.yahooFinance.quote(symbol);
-
-      const result = {
-        symbol: quote.symbol,
-        name: quote.shortName || quote.longName,
-        price: quote.regularMarketPrice,
-        change: quote.regularMarketChange,
-        changePercent: quote.regularMarketChangePercent,
-        open: quote.regularMarketOpen,
-        high: quote.regularMarketDayHigh,
-        low: quote.regularMarketDayLow,
-        volume: quote.regularMarketVolume,
-        marketCap: quote.marketCap,
-        currency: quote.currency,
-        exchange: quote.fullExchangeName
-      };
+      const result = await this.market.quote(symbol);
 
       // Cache the result
       this.setCache(symbol, result);
@@ -137,30 +189,12 @@ class StockModule {
       this.evalRequestCount += uncached.length;
 
       try {
-        // Yahoo Finance supports batch quotes
-        const quotes = await this.yahooFinance.quote(uncached);
-
-        // Handle both single and multiple results
-        const quotesArray = Array.isArray(quotes) ? quotes : [quotes];
-
-        for (const quote of quotesArray) {
-          const result = {
-            symbol: quote.symbol,
-            name: quote.shortName || quote.longName,
-            price: quote.regularMarketPrice,
-            change: quote.regularMarketChange,
-            changePercent: quote.regularMarketChangePercent,
-            open: quote.regularMarketOpen,
-            high: quote.regularMarketDayHigh,
-            low: quote.regularMarketDayLow,
-            volume: quote.regularMarketVolume,
-            marketCap: quote.marketCap,
-            currency: quote.currency,
-            exchange: quote.fullExchangeName
-          };
-
-          results[quote.symbol] = result;
-          this.setCache(quote.symbol, result);
+        // Providers fetch batches in one request where they can
+        const quotes = await this.market.quotes(uncached);
+
+        for (const result of quotes) {
+          results[result.symbol] = result;
+          this.setCache(result.symbol, result);
         }
       } catch (error) {
         throw new Error(`Failed to get quotes: ${error.message}`);
@@ -172,10 +206,13 @@ class StockModule {
 
   /**
    * Get historical data for sparkline/chart
+   * @throws {RangeError} - If the period or interval is invalid (see getRange)
    */
-  async getChart(symbol, period = '1d', interval = '5m') {
+  async getChart(symbol, period = '1d', interval = null) {
+    const range = this.getRange(period, interval);
+
     // Check cache
-    const cacheKey = `${symbol}_${period}_${interval}`;
+    const cacheKey = `${symbol}_${JSON.stringify(period)}_${range.interval}`;
     const cached = this.getCached(cacheKey);
     if (cached) {
       return cached;
@@ -186,27 +223,7 @@ class StockModule {
     this.evalRequestCount++;
 
     try {
-      const result = await this.yahooFinance.chart(symbol, {
-        period1: this.getPeriodStart(period),
-        interval: interval
-      });
-
-      const quotes = result.quotes || [];
-      const chart = quotes.map(q => ({
-        date: q.date,
-        open: q.open,
-        high: q.high,
-        low: q.low,
-        close: q.close,
-        volume: q.volume
-      }));
-
-      const chartData = {
-        symbol: result.meta.symbol,
-        currency: result.meta.currency,
-        timezone: result.meta.timezone,
-        quotes: chart
-      };
+      const chartData = await this.market.chart(symbol, range);
 
       // Cache the result
       this.setCache(cacheKey, chartData);
@@ -218,19 +235,174 @@ class StockModule {
   }
 
   /**
-   * Convert period string to timestamp
+   * Search for symbols by company name or ticker
+   */
+  async search(query) {
+    const cacheKey = `search:${query.toLowerCase()}`;
+    const cached = this.getCached(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    this.checkLimits();
+    this.evalRequestCount++;
+
+    try {
+      const results = (await this.market.search(query)).slice(0, 10);
+      this.setCache(cacheKey, results);
+      return results;
+    } catch (error) {
+      throw new Error(`Failed to search for ${query}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a chart period and interval
+   *
+   * @param {string|object} period - A name in PERIOD_NAMES, a start date
+   *   ('2024-01-01'), a range ('2024-01-01..2024-06-30') or { start, end }
+   * @param {string|null} interval - A name in INTERVALS, or null to pick one
+   *   for the span
+   * @returns {object} - { start, end, interval }; end is null for "until now"
+   * @throws {RangeError} - If the period or interval is unknown, or they don't fit together
    */
-  getPeriodStart(period) {
+  getRange(period, interval) {
     const now = Date.now();
-    const periods = {
-      '1d': now - 86400000,      // 1 day
-      '5d': now - 432000000,     // 5 days
-      '1mo': now - 2592000000,   // 30 days
-      '3mo': now - 7776000000,   // 90 days
-      '1y': now - 31536000000    // 1 year
-    };
+    let start;
+    let end = null;
+
+    if (typeof period === 'string' && PERIOD_NAMES.includes(period)) {
+      if (period === 'ytd') {
+        start = Date.UTC(new Date(now).getUTCFullYear(), 0, 1);
+      } else if (period === 'max') {
+        start = 0;
+      } else {
+        start = now - PERIODS[period] * DAY;
+      }
+    } else {
+      const [from, to] = typeof period === 'string' ? period.split('..')
+        : period !== null && typeof period === 'object' ? [period.start, period.end] : [];
+      start = this.parseDate(from, period);
+      end = to === undefined || to === null ? null : this.parseDate(to, period);
+      if (start >= now) {
+        throw new RangeError('stockChart(): the period starts in the future');
+      }
+      if (end !== null && end <= start) {
+        throw new RangeError('stockChart(): the period ends before it starts');
+      }
+      if (end !== null && end >= now) {
+        end = null;
+      }
+    }
+
+    // Intraday bars are only kept for a while
+    const history = name => (INTERVALS[name] < 1440 ? INTRADAY_HISTORY[name] || 60 : Infinity);
+    const span = (end === null ? now : end) - start;
+    const chosen = interval === null || interval === undefined;
+    if (chosen) {
+      // The default for the span if it has the history and fits in the
+      // span, else the finest interval that does, else the finest with the
+      // history (a short period long ago gets a daily bar)
+      const hasHistory = name => now - start <= history(name) * DAY;
+      const fits = name => hasHistory(name) && INTERVALS[name] * 60000 <= span;
+      const finest = Object.keys(INTERVALS).sort((a, b) => INTERVALS[a] - INTERVALS[b]);
+      const preferred = DEFAULT_INTERVALS.find(([days, name]) => span <= days * DAY && fits(name));
+      interval = preferred ? preferred[1] : finest.find(fits) || finest.find(hasHistory);
+    }
+    if (!INTERVALS[interval]) {
+      throw new RangeError(`stockChart(): unknown interval ${interval} (use ${Object.keys(INTERVALS).join(', ')})`);
+    }
+    if (now - start > history(interval) * DAY) {
+      throw new RangeError(`stockChart(): ${interval} bars only go back ${history(interval)} days; use a shorter period or a longer interval`);
+    }
+
+    const minutes = INTERVALS[interval];
+    if (!chosen && minutes * 60000 > span) {
+      throw new RangeError(`stockChart(): interval ${interval} is longer than the period`);
+    }
 
-    return new Date(periods[period] || periods['1d']);
+    // Markets trade about 6.5 hours a day, 5 days a week
+    const tradingDays = (span / DAY) * (5 / 7);
+    const bars = Math.round(minutes < 1440 ? (tradingDays * 390) / minutes : (tradingDays * 1440) / Math.max(minutes * (5 / 7), 1440));
+    if (bars > this.maxBars) {
+      throw new RangeError(`stockChart(): about ${bars} bars (max ${this.maxBars}); use a longer interval`);
+    }
+
+    return { start: new Date(start), end: end === null ? null : new Date(end), interval };
+  }
+
+  /**
+   * Parse a period date (YYYY-MM-DD, optionally with a time)
+   * @returns {number} - Timestamp
+   * @throws {RangeError} - Naming the whole period if the date is invalid
+   */
+  parseDate(value, period) {
+    const time = typeof value === 'string' && DATE_PATTERN.test(value.trim()) ? Date.parse(value.trim()) : NaN;
+    if (Number.isNaN(time)) {
+      throw new RangeError(`stockChart(): unknown period ${JSON.stringify(period)} ` +
+        `(use ${PERIOD_NAMES.join(', ')}, a YYYY-MM-DD start date, start..end or { start, end })`);
+    }
+    return time;
+  }
+
+  /**
+   * Sandbox plugin declaration (see plugin-registry.js)
+   */
+  getPlugin() {
+    return {
+      name: 'stocks',
+      functions: [
+        {
+          name: 'stock',
+          args: [{ name: 'symbol', type: 'string', maxLength: 32 }],
+          handler: ({ symbol }) => {
+            this.evalCallCount++;
+            return this.getQuote(symbol.toUpperCase());
+          }
+        },
+        {
+          name: 'stocks',
+          args: [{ name: 'symbols', type: 'string', rest: true, maxLength: 32 }],
+          handler: ({ symbols }) => {
+            this.evalCallCount++;
+            return this.getQuotes(symbols.map(s => s.toUpperCase()));
+          }
+        },
+        {
+          name: 'stockChart',
+          args: [
+            { name: 'symbol', type: 'string', maxLength: 32 },
+            { name: 'period', type: 'any', optional: true, default: '1d' }, // Name, date(s) or { start, end }
+            { name: 'interval', type: 'string', optional: true, default: null } // null picks one for the period
+          ],
+          handler: ({ symbol, period, interval }) => {
+            this.evalCallCount++;
+            return this.getChart(symbol.toUpperCase(), period, interval);
+          }
+        },
+        {
+          name: 'indicator',
+          args: [
+            { name: 'name', type: 'string', enum: Indicators.names },
+            { name: 'values', type: 'array', maxLength: 10000 },
+            { name: 'options', type: 'object', optional: true, default: {} }
+          ],
+          pure: true, // Computed from the arguments alone
+          handler: ({ name, values, options }) => Indicators.compute(name, values, options)
+        },
+        {
+          name: 'stockSearch',
+          args: [{ name: 'query', type: 'string', maxLength: 64 }],
+          handler: ({ query }) => {
+            this.evalCallCount++;
+            return this.search(query);
+          }
+        }
+      ],
+      prelude: PRELUDE,
+      startEval: () => this.startEval(),
+      usage: () => ({ stockCalls: this.evalCallCount })
+    };
   }
 }
 
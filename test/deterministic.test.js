@@ -0,0 +1,70 @@
+// Deterministic evals (see determinism.js and fixture-store.js): the same
+// code gives the same result, with network calls replayed from fixtures
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Sandbox = require('../sandbox');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'deterministic.json');
+
+const CODE = `// @deterministic seed=7 now=2024-01-01T00:00:00Z
+const response = await fetch('https://api.example.com/rates.json');
+const { rates } = await response.json();
+let missing;
+try {
+  await stock('NOPE');
+} catch (error) {
+  missing = error.message;
+}
+({
+  status: response.status,
+  eur: rates.EUR,
+  missing,
+  random: [Math.random(), Math.random()],
+  uuid: crypto.randomUUID(),
+  now: new Date().toISOString(),
+  clock: Date.now()
+})`;
+
+async function run(code) {
+  const sandbox = new Sandbox({ deterministic: { fixtures: FIXTURES } });
+  try {
+    return await sandbox.execute(code);
+  } finally {
+    sandbox.dispose();
+  }
+}
+
+test('replays recorded calls and repeats randomness and time', async () => {
+  const first = await run(CODE);
+  assert.strictEqual(first.success, true, first.error);
+  assert.strictEqual(first.resultType, 'object', first.display);
+
+  const { status, eur, missing, now, clock } = first.result;
+  assert.deepStrictEqual({ status, eur, missing, now, clock }, {
+    status: 200,
+    eur: 0.92,
+    missing: 'Symbol not found: NOPE',
+    now: '2024-01-01T00:00:00.000Z',
+    clock: Date.parse('2024-01-01T00:00:00Z')
+  });
+
+  const second = await run(CODE);
+  assert.deepStrictEqual(second.result, first.result);
+  assert.strictEqual(second.display, first.display);
+});
+
+test('a different seed gives different randomness', async () => {
+  const [a, b] = await Promise.all([
+    run(CODE).then(r => r.result.random),
+    run(CODE.replace('seed=7', 'seed=8')).then(r => r.result.random)
+  ]);
+  assert.notDeepStrictEqual(a, b);
+});
+
+test('unrecorded calls fail instead of reaching the network', async () => {
+  const result = await run('// @deterministic\nawait fetch("https://api.example.com/other.json")');
+  assert.strictEqual(result.resultType, 'rejected');
+  assert.match(result.display, /No recorded fixture for _fetch\("https:\/\/api\.example\.com\/other\.json"/);
+});
@@ -0,0 +1,71 @@
+// Domain pattern matching and per-domain rule resolution for HTTP requests
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DomainPolicy = require('../domain-policy');
+
+test('*.example.com matches subdomains only', () => {
+  assert.strictEqual(DomainPolicy.matches('api.example.com', '*.example.com'), true);
+  assert.strictEqual(DomainPolicy.matches('a.b.example.com', '*.example.com'), true);
+  assert.strictEqual(DomainPolicy.matches('example.com', '*.example.com'), false);
+  assert.strictEqual(DomainPolicy.matches('badexample.com', '*.example.com'), false);
+  assert.strictEqual(DomainPolicy.matches('example.com.evil.org', '*.example.com'), false);
+});
+
+test('a plain domain matches itself and its subdomains', () => {
+  assert.strictEqual(DomainPolicy.matches('example.com', 'example.com'), true);
+  assert.strictEqual(DomainPolicy.matches('api.example.com', 'example.com'), true);
+  assert.strictEqual(DomainPolicy.matches('badexample.com', 'example.com'), false);
+  assert.strictEqual(DomainPolicy.matches('example.com.evil.org', 'example.com'), false);
+});
+
+test('a * inside a pattern matches within one label', () => {
+  assert.strictEqual(DomainPolicy.matches('cdn1.example.com', 'cdn*.example.com'), true);
+  assert.strictEqual(DomainPolicy.matches('cdn.a.example.com', 'cdn*.example.com'), false);
+  assert.strictEqual(DomainPolicy.matches('api.eu.example.com', 'api.*.example.com'), true);
+  assert.strictEqual(DomainPolicy.matches('api.eu.west.example.com', 'api.*.example.com'), false);
+  assert.strictEqual(DomainPolicy.matches('apixexample.com', 'api.*'), false); // dots are literal
+});
+
+test('the most specific matching rule wins, without merging', () => {
+  const policy = new DomainPolicy({
+    rules: {
+      '*.example.com': { timeout: 1000, transferLimit: 5000 },
+      'api.example.com': { timeout: 9000 },
+      'Example.COM': { requestLimit: 7 }
+    }
+  });
+
+  assert.deepStrictEqual(policy.resolve('api.example.com'), { pattern: 'api.example.com', timeout: 9000 });
+  assert.deepStrictEqual(policy.resolve('www.example.com'), { pattern: '*.example.com', timeout: 1000, transferLimit: 5000 });
+  assert.deepStrictEqual(policy.resolve('EXAMPLE.com.'), { pattern: 'example.com', requestLimit: 7 });
+  assert.deepStrictEqual(policy.resolve('example.org'), { pattern: null });
+});
+
+test('windows use the rule limits, or the default budget per host', () => {
+  const policy = new DomainPolicy({
+    rules: {
+      '*.example.com': { requestLimit: 10, userRequestLimit: 2, requestInterval: 30 },
+      'slow.org': { userRequestLimit: 1 }
+    },
+    budget: { requestLimit: 50 }
+  });
+
+  // Wildcard rules share one budget across their subdomains
+  assert.deepStrictEqual(policy.windows('a.example.com', 'did:plc:a'), [
+    { key: 'domain:*.example.com', limit: 10, interval: 30, label: 'to *.example.com by all users' },
+    { key: 'domain:*.example.com:did:plc:a', limit: 2, interval: 30, label: 'to *.example.com' }
+  ]);
+  assert.strictEqual(policy.windows('b.example.com', 'did:plc:a')[0].key, 'domain:*.example.com');
+
+  // A rule without a requestLimit keeps the default budget for all users
+  assert.deepStrictEqual(policy.windows('slow.org', 'did:plc:a'), [
+    { key: 'domain:slow.org', limit: 50, interval: 60, label: 'to slow.org by all users' },
+    { key: 'domain:slow.org:did:plc:a', limit: 1, interval: 60, label: 'to slow.org' }
+  ]);
+
+  // Hosts without a rule each get their own budget
+  assert.deepStrictEqual(policy.windows('Other.net', 'did:plc:a'), [
+    { key: 'domain:other.net', limit: 50, interval: 60, label: 'to other.net by all users' }
+  ]);
+});
@@ -0,0 +1,49 @@
+// How long HttpCache may keep a response, from its caching headers
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const HttpCache = require('../http-cache');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+test('s-maxage beats max-age, which beats Expires', () => {
+  const expires = 'Thu, 01 Jan 2026 01:00:00 GMT'; // 1 hour after NOW
+  assert.strictEqual(HttpCache.policy({ 'cache-control': 'max-age=60, s-maxage=30', expires }, NOW).expires, NOW + 30000);
+  assert.strictEqual(HttpCache.policy({ 'cache-control': 'public, max-age=60', expires }, NOW).expires, NOW + 60000);
+  assert.strictEqual(HttpCache.policy({ expires }, NOW).expires, NOW + 3600000);
+});
+
+test('Expires counts from the response Date header', () => {
+  const policy = HttpCache.policy({
+    date: 'Wed, 31 Dec 2025 23:59:00 GMT', // Server clock a minute behind
+    expires: 'Thu, 01 Jan 2026 00:01:00 GMT'
+  }, NOW);
+  assert.strictEqual(policy.expires, NOW + 120000);
+  assert.strictEqual(HttpCache.policy({ expires: '0' }, NOW), null); // Invalid dates mean already expired
+});
+
+test('Age is subtracted from the lifetime', () => {
+  assert.strictEqual(HttpCache.policy({ 'cache-control': 'max-age=600', age: '100' }, NOW).expires, NOW + 500000);
+  assert.strictEqual(HttpCache.policy({ 'cache-control': 'max-age=600', age: '900' }, NOW), null);
+  assert.strictEqual(HttpCache.policy({ 'cache-control': 'max-age=600', age: '900', etag: '"v1"' }, NOW).expires, NOW);
+});
+
+test('private, no-store, Set-Cookie and Vary: * responses are not stored', () => {
+  for (const headers of [
+    { 'cache-control': 'private, max-age=600' },
+    { 'cache-control': 'no-store' },
+    { 'cache-control': 'max-age=600', 'set-cookie': 'session=1' },
+    { 'cache-control': 'max-age=600', vary: '*' }
+  ]) {
+    assert.strictEqual(HttpCache.policy({ ...headers, etag: '"v1"' }, NOW), null, JSON.stringify(headers));
+  }
+});
+
+test('no-cache and validator-only responses are stored stale for revalidation', () => {
+  assert.deepStrictEqual(HttpCache.policy({ 'cache-control': 'no-cache, max-age=600', etag: '"v1"' }, NOW),
+    { expires: NOW, etag: '"v1"', lastModified: null });
+  assert.deepStrictEqual(HttpCache.policy({ 'last-modified': 'Wed, 31 Dec 2025 00:00:00 GMT' }, NOW),
+    { expires: NOW, etag: null, lastModified: 'Wed, 31 Dec 2025 00:00:00 GMT' });
+  assert.strictEqual(HttpCache.policy({}, NOW), null);
+  assert.strictEqual(HttpCache.policy({ 'cache-control': 'max-age=abc' }, NOW), null);
+});
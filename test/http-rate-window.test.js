@@ -0,0 +1,54 @@
+// Rolling HTTP request windows in memory mode (direct mode and the STDIO REPL)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const HttpRateWindow = require('../http-rate-window');
+
+test('requests past the user limit fail until the window rolls over', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const window = new HttpRateWindow({ requestLimit: 3, requestInterval: 60 });
+
+  for (let i = 0; i < 3; i++) {
+    await window.request('did:plc:a', 'example.com');
+  }
+  await assert.rejects(window.request('did:plc:a', 'example.com'), /Too many HTTP requests \(max 3 requests in 60 seconds\)/);
+  await window.request('did:plc:b', 'example.com'); // Other users have their own window
+
+  t.mock.timers.tick(59_000);
+  await assert.rejects(window.request('did:plc:a', 'example.com'), /Too many HTTP requests/);
+
+  t.mock.timers.tick(1_001);
+  await window.request('did:plc:a', 'example.com');
+});
+
+test('a tier limit replaces the default user limit', async () => {
+  const window = new HttpRateWindow({ requestLimit: 25 });
+  await window.request('did:plc:a', 'example.com', 1);
+  await assert.rejects(window.request('did:plc:a', 'example.com', 1), /max 1 requests/);
+});
+
+test('a full domain window rejects the request without counting it for the user', async () => {
+  const window = new HttpRateWindow({
+    requestLimit: 2,
+    domains: { rules: { 'api.example.com': { requestLimit: 1 } } }
+  });
+
+  await window.request('did:plc:a', 'api.example.com');
+  await assert.rejects(window.request('did:plc:b', 'api.example.com'), /to api\.example\.com by all users \(max 1 requests/);
+
+  // did:plc:b's rejected request used none of its own window
+  await window.request('did:plc:b', 'example.org');
+  await window.request('did:plc:b', 'example.org');
+  await assert.rejects(window.request('did:plc:b', 'example.org'), /max 2 requests/);
+});
+
+test('prune drops windows whose requests have expired', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const window = new HttpRateWindow({ requestInterval: 60 });
+  await window.request('did:plc:a', 'example.com');
+  assert.strictEqual(window.requests.size, 2); // user and domain
+
+  t.mock.timers.tick(61_000);
+  window.prune();
+  assert.strictEqual(window.requests.size, 0);
+});
@@ -0,0 +1,51 @@
+// Eval timeouts and memory limits, which the host enforces and reports with
+// an errorType that user code cannot fake
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Sandbox = require('../sandbox');
+const UserTiers = require('../user-tiers');
+
+// Run code in a fresh sandbox and return the whole result
+async function run(code, options = {}, context = {}) {
+  const sandbox = new Sandbox({ timeout: 3000, ...options });
+  return sandbox.execute(code, context).finally(() => sandbox.dispose());
+}
+
+test('allocating past the memory limit stops the eval', async () => {
+  const result = await run('const a = []; for (;;) a.push("x".repeat(10000))', { memoryLimit: 16 });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.errorType, 'memory');
+  assert.strictEqual(result.error, 'Out of memory (limit 16MB)');
+
+  const asyncResult = await run('await null; const a = []; for (;;) a.push("x".repeat(10000))', { memoryLimit: 16 });
+  assert.strictEqual(asyncResult.errorType, 'memory');
+});
+
+test('a low-memory tier stops an eval its default tier allows', async () => {
+  const tiers = new UserTiers({ tiers: { tiny: { memoryLimit: 16 } }, assignments: { 'did:plc:tiny': 'tiny' } });
+  const code = 'const a = []; for (let i = 0; i < 3000; i++) a.push("x".repeat(10000)); a.length';
+
+  const allowed = await run(code, {}, { limits: tiers.resolve('did:plc:other') });
+  assert.strictEqual(allowed.success, true, allowed.error);
+  assert.strictEqual(allowed.result, 3000);
+
+  const stopped = await run(code, {}, { limits: tiers.resolve('did:plc:tiny') });
+  assert.strictEqual(stopped.errorType, 'memory');
+  assert.strictEqual(stopped.error, 'Out of memory (limit 16MB)');
+});
+
+test('running past the timeout stops the eval', async () => {
+  const result = await run('for (;;);', { timeout: 200 });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.errorType, 'timeout');
+});
+
+test('errors that look like limit errors are reported as they are', async () => {
+  const memory = await run('throw Object.assign(new Error("out of memory"), { name: "InternalError" })', { memoryLimit: 16 });
+  assert.strictEqual(memory.errorType, undefined);
+  assert.strictEqual(memory.error, 'InternalError: out of memory');
+
+  const timeout = await run('throw Object.assign(new Error("interrupted"), { name: "InternalError" })');
+  assert.strictEqual(timeout.errorType, undefined);
+});
@@ -0,0 +1,89 @@
+// Schedule commands (!in, !every, !schedules, !unschedule) and the
+// in-process scheduler used in direct mode
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CommandParser = require('../command-parser');
+const EvalScheduler = require('../eval-scheduler');
+
+const parser = new CommandParser();
+
+test('parseSchedule reads durations in every unit', () => {
+  const delay = text => parser.parseSchedule(`!in ${text} 1 + 1`).spec.delay;
+  assert.strictEqual(delay('45s'), 45000);
+  assert.strictEqual(delay('30m'), 1800000);
+  assert.strictEqual(delay('2h30m'), 9000000);
+  assert.strictEqual(delay('1D12H'), 129600000);
+  assert.strictEqual(delay('1d2h3m4s'), 93784000);
+
+  assert.deepStrictEqual(parser.parseSchedule('!every 6h\nconsole.log(1)\n'), {
+    action: 'schedule', spec: { every: 21600000 }, code: 'console.log(1)'
+  });
+  assert.deepStrictEqual(parser.parseSchedule('!every day at 9:05 "hi"'), {
+    action: 'schedule', spec: { at: '09:05' }, code: '"hi"'
+  });
+  assert.deepStrictEqual(parser.parseSchedule('!every day 23:59 "hi"').spec, { at: '23:59' });
+});
+
+test('parseSchedule reports invalid input', () => {
+  assert.match(parser.parseSchedule('!in 0m 1').error, /Invalid duration: 0m/);
+  assert.match(parser.parseSchedule('!in 2x 1').error, /Invalid duration: 2x/);
+  assert.match(parser.parseSchedule('!in 30m2h 1').error, /Invalid duration/); // units out of order
+  assert.match(parser.parseSchedule('!every day 24:00 1').error, /Invalid time: 24:00/);
+  assert.match(parser.parseSchedule('!every day 12:60 1').error, /Invalid time: 12:60/);
+  assert.match(parser.parseSchedule('!in').error, /^Usage: !in/);
+  assert.match(parser.parseSchedule('!every 6h').error, /^Usage: !every/);
+  assert.match(parser.parseSchedule('!unschedule').error, /^Usage: !unschedule/);
+
+  assert.deepStrictEqual(parser.parseSchedule('!unschedule #a1b2c3'), { action: 'cancel', id: 'a1b2c3' });
+  assert.deepStrictEqual(parser.parseSchedule('!schedules'), { action: 'list' });
+  assert.strictEqual(parser.parseSchedule('!inspect 1'), null);
+  assert.strictEqual(parser.parseSchedule('1 + 1'), null);
+});
+
+test('the scheduler enforces delay and interval bounds', async (t) => {
+  const scheduler = new EvalScheduler();
+  t.after(() => scheduler.close());
+
+  await assert.rejects(scheduler.schedule('did:plc:a', { delay: 8 * 86400000 }, '1', {}), /Delay is too long \(max 7d\)/);
+  await assert.rejects(scheduler.schedule('did:plc:a', { every: 60000 }, '1', {}), /Interval is too short \(min 15m\)/);
+  await assert.rejects(scheduler.schedule('did:plc:a', { every: 8 * 86400000 }, '1', {}), /Interval is too long/);
+  assert.strictEqual((await scheduler.getSchedules()).length, 0);
+});
+
+test('the scheduler caps schedules per user and frees a slot on cancel', async (t) => {
+  const scheduler = new EvalScheduler({ maxPerUser: 2 });
+  t.after(() => scheduler.close());
+
+  const first = await scheduler.schedule('did:plc:a', { delay: 60000 }, '1', {});
+  await scheduler.schedule('did:plc:a', { every: 3600000 }, '2', {});
+  await assert.rejects(scheduler.schedule('did:plc:a', { delay: 60000 }, '3', {}), /limit of 2 schedules/);
+  await scheduler.schedule('did:plc:b', { delay: 60000 }, '4', {}); // Other users have their own cap
+
+  // Only the author or an admin may cancel
+  assert.strictEqual(await scheduler.cancel(first.id, 'did:plc:b'), false);
+  assert.strictEqual(await scheduler.cancel(first.id, 'did:plc:a'), true);
+  assert.strictEqual(await scheduler.cancel(first.id, 'did:plc:a'), false);
+  assert.strictEqual(scheduler.timers.has(first.id), false);
+
+  await scheduler.schedule('did:plc:a', { delay: 60000 }, '5', {});
+  const owned = (await scheduler.getSchedules()).filter(s => s.author === 'did:plc:a');
+  assert.deepStrictEqual(owned.map(s => s.code), ['2', '5']);
+});
+
+test('a cancelled schedule never runs', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const scheduler = new EvalScheduler();
+  const runs = [];
+  scheduler.init(async schedule => runs.push(schedule.code));
+
+  const kept = await scheduler.schedule('did:plc:a', { delay: 60000 }, 'kept', {});
+  const cancelled = await scheduler.schedule('did:plc:a', { delay: 60000 }, 'cancelled', {});
+  assert.strictEqual(await scheduler.handle({ action: 'cancel', id: cancelled.id }, { author: 'did:plc:a' }), `✓ Cancelled #${cancelled.id}`);
+
+  t.mock.timers.tick(60000);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(runs, ['kept']);
+  assert.strictEqual(await scheduler.getSchedule(kept.id), null); // One-off schedules are forgotten once run
+  scheduler.close();
+});
@@ -0,0 +1,61 @@
+// SSRF guard checks on URLs and on DNS results, so sandbox HTTP requests
+// never reach loopback, private or internal hosts
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const SsrfGuard = require('../ssrf-guard');
+
+test('checkUrl rejects private addresses however they are written', () => {
+  const guard = new SsrfGuard();
+  for (const url of [
+    'http://127.0.0.1/',
+    'http://127.1/',
+    'http://0x7f.0.0.1/',
+    'http://2130706433/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.0.0.1/',
+    'http://[fd00::1]/'
+  ]) {
+    assert.throws(() => guard.checkUrl(url), /private or internal addresses/, url);
+  }
+});
+
+test('checkUrl rejects internal hostnames and non-HTTP schemes', () => {
+  const guard = new SsrfGuard();
+  for (const url of ['http://redis:6379/', 'http://localhost/', 'http://printer.local/', 'http://db.internal/']) {
+    assert.throws(() => guard.checkUrl(url), /internal hostnames/, url);
+  }
+  assert.throws(() => guard.checkUrl('file:///etc/passwd'), /Only http and https/);
+  assert.throws(() => guard.checkUrl('not a url'), /Invalid URL/);
+});
+
+test('checkUrl allows public hosts and honors domain lists', () => {
+  assert.strictEqual(new SsrfGuard().checkUrl('https://example.com/a').hostname, 'example.com');
+  assert.strictEqual(new SsrfGuard().checkUrl('http://93.184.215.14/').hostname, '93.184.215.14');
+
+  const guard = new SsrfGuard({ allowedDomains: ['*.example.com'], deniedDomains: ['bad.example.com'] });
+  assert.doesNotThrow(() => guard.checkUrl('https://api.example.com/'));
+  assert.throws(() => guard.checkUrl('https://bad.example.com/'), /not allowed/);
+  assert.throws(() => guard.checkUrl('https://example.org/'), /not on allow list/);
+});
+
+test('lookup fails hostnames that resolve to a private address', async (t) => {
+  const guard = new SsrfGuard();
+  const answers = {
+    'rebind.example.com': [{ address: '93.184.215.14', family: 4 }, { address: '127.0.0.1', family: 4 }],
+    'mapped.example.com': [{ address: '::ffff:10.0.0.1', family: 6 }],
+    'public.example.com': [{ address: '93.184.215.14', family: 4 }]
+  };
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, answers[hostname]));
+  const lookup = (hostname, options) => new Promise((resolve, reject) => {
+    guard.lookup(hostname, options, (error, address, family) => error ? reject(error) : resolve([address, family]));
+  });
+
+  await assert.rejects(lookup('rebind.example.com', {}), { code: 'ESSRF', message: /127\.0\.0\.1/ });
+  await assert.rejects(lookup('mapped.example.com', {}), { code: 'ESSRF' });
+  assert.deepStrictEqual(await lookup('public.example.com', {}), ['93.184.215.14', 4]);
+  assert.deepStrictEqual(await lookup('public.example.com', { all: true }), [answers['public.example.com'], undefined]);
+});
@@ -0,0 +1,55 @@
+// Per-user interpreter state: globals persisted between a user's evals
+// through SandboxPool and StateStore, and wiped by !wipe
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SandboxPool = require('../sandbox-pool');
+const StateStore = require('../state-store');
+const AdminCommands = require('../admin-commands');
+
+test('globals survive between evals until the state is wiped', async (t) => {
+  const store = new StateStore();
+  const pool = new SandboxPool({ size: 1, stateStore: store });
+  t.after(() => pool.close());
+  const alice = { stateKey: 'did:plc:alice' };
+
+  let result = await pool.execute(`
+    var count = 1;
+    const config = { tags: ['a', 'b'] };
+    function double(x) { return x * 2; }
+    const cyclic = {}; cyclic.self = cyclic;
+    const symbol = Symbol('s');
+  `, alice);
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual('state' in result, false); // Stripped before returning
+
+  // Values JSON can't hold are skipped, the rest are saved
+  assert.deepStrictEqual(Object.keys(JSON.parse(await store.get('did:plc:alice'))).sort(), ['config', 'count', 'double']);
+
+  result = await pool.execute('count++; [count, config.tags, double(21), typeof cyclic, typeof symbol]', alice);
+  assert.deepStrictEqual(result.result, [2, ['a', 'b'], 42, 'undefined', 'undefined']);
+
+  // Other users start empty
+  result = await pool.execute('typeof count', { stateKey: 'did:plc:bob' });
+  assert.strictEqual(result.result, 'undefined');
+
+  const admin = new AdminCommands();
+  admin.setStateStore(store);
+  assert.match(await admin.cmdWipe('did:plc:alice'), /^✓ Wiped state for did:plc:alice: (?=.*count)(?=.*config)(?=.*double).* \(\d+ bytes\)$/);
+  assert.strictEqual(await store.get('did:plc:alice'), null);
+  assert.strictEqual(await admin.cmdWipe('did:plc:alice'), 'No saved state for did:plc:alice');
+
+  result = await pool.execute('typeof count', alice);
+  assert.strictEqual(result.result, 'undefined');
+});
+
+test('concurrent evals by one user both keep their globals', async (t) => {
+  const store = new StateStore();
+  const pool = new SandboxPool({ size: 2, stateStore: store });
+  t.after(() => pool.close());
+  const alice = { stateKey: 'did:plc:alice' };
+
+  await Promise.all([pool.execute('var x = 1', alice), pool.execute('var y = 2', alice)]);
+  const result = await pool.execute('[x, y]', alice);
+  assert.deepStrictEqual(result.result, [1, 2]);
+});
@@ -0,0 +1,88 @@
+// stockChart() period and interval resolution, and the indicator math
+// against published values
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const StockModule = require('../stock-module');
+const Indicators = require('../indicators');
+
+const NOW = Date.parse('2026-06-15T12:00:00Z');
+
+// A getRange bound to a clock fixed at NOW for the rest of the test
+function rangeAtNow(t) {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const stock = new StockModule({ market: {} });
+  return (period, interval) => stock.getRange(period, interval);
+}
+
+test('getRange picks the default interval for the span', (t) => {
+  const range = rangeAtNow(t);
+  const picks = {
+    '1d': '5m', '5d': '15m', '1mo': '1h', '3mo': '1d', 'ytd': '1d', '1y': '1d', '2y': '1d', '5y': '1wk', '10y': '1wk', 'max': '1mo'
+  };
+  for (const [period, interval] of Object.entries(picks)) {
+    assert.strictEqual(range(period).interval, interval, period);
+  }
+
+  const ytd = range('ytd');
+  assert.strictEqual(ytd.start.toISOString(), '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(ytd.end, null);
+});
+
+test('getRange falls back to an interval with the history for old periods', (t) => {
+  const range = rangeAtNow(t);
+  // Intraday bars are gone this long ago, so even a few hours get daily bars
+  assert.strictEqual(range('2020-01-02..2020-01-03').interval, '1d');
+  assert.strictEqual(range('2020-01-02T10:00..2020-01-02T14:00').interval, '1d');
+  // Recent enough for hourly bars
+  assert.strictEqual(range({ start: '2026-01-01', end: '2026-01-20' }).interval, '1h');
+  assert.strictEqual(range('2026-06-15T09:00').interval, '5m');
+  // An end in the future means "until now"
+  assert.strictEqual(range('2026-06-01..2026-07-01').end, null);
+});
+
+test('getRange rejects intervals that do not fit the period', (t) => {
+  const range = rangeAtNow(t);
+  assert.throws(() => range('1d', '1wk'), /interval 1wk is longer than the period/);
+  assert.throws(() => range('1y', '5m'), /5m bars only go back 60 days/);
+  assert.throws(() => range('max', '1d'), /bars \(max 5000\)/);
+  assert.throws(() => range('1d', '7m'), /unknown interval 7m/);
+  assert.throws(() => range('2027-01-01'), /starts in the future/);
+  assert.throws(() => range('2026-02-01..2026-01-01'), /ends before it starts/);
+  assert.throws(() => range('yesterday'), /unknown period "yesterday"/);
+});
+
+test('RSI matches the StockCharts worked example', () => {
+  const closes = [
+    44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826,
+    45.8931, 46.0328, 45.614, 46.282, 46.282, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439
+  ];
+  const rsi = Indicators.compute('rsi', closes, { period: 14 });
+  assert.deepStrictEqual(rsi.slice(0, 14), Array(14).fill(null));
+  assert.deepStrictEqual(rsi.slice(14).map(v => Math.round(v * 100) / 100), [70.53, 66.32, 66.55, 69.41, 66.36, 57.97]);
+});
+
+test('moving averages, Bollinger bands and return', () => {
+  assert.deepStrictEqual(Indicators.compute('sma', [1, 2, 3, 4, 5], { period: 3 }), [null, null, 2, 3, 4]);
+  assert.deepStrictEqual(Indicators.compute('sma', [1, null, 2, 3], { period: 2 }), [null, null, 1.5, 2.5]);
+  // Seeded with the SMA, then k = 2 / (3 + 1) = 0.5
+  assert.deepStrictEqual(Indicators.compute('ema', [2, 4, 6, 8, 12], { period: 3 }), [null, null, 4, 6, 9]);
+
+  // Population standard deviation of 1, 2, 3 is sqrt(2/3)
+  assert.deepStrictEqual(Indicators.compute('bollinger', [1, 2, 3, 4], { period: 3 }), {
+    middle: [null, null, 2, 3],
+    upper: [null, null, 3.633, 4.633],
+    lower: [null, null, 0.367, 1.367]
+  });
+
+  // A straight line has a constant MACD and so a zero histogram
+  assert.deepStrictEqual(Indicators.compute('macd', [1, 2, 3, 4, 5, 6], { fast: 2, slow: 3, signal: 2 }), {
+    macd: [null, null, 0.5, 0.5, 0.5, 0.5],
+    signal: [null, null, null, 0.5, 0.5, 0.5],
+    histogram: [null, null, null, 0, 0, 0]
+  });
+
+  assert.strictEqual(Indicators.compute('return', [{ close: 100 }, { close: null }, { close: 110 }]), 10);
+  assert.strictEqual(Indicators.compute('return', [0, 5]), null);
+  assert.throws(() => Indicators.compute('sma', [1, 2], { period: 0 }), /sma period must be an integer from 1 to 1000/);
+});
@@ -0,0 +1,60 @@
+// Rewriting top-level await into an async function (see top-level-await.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const wrapTopLevelAwait = require('../top-level-await');
+const Sandbox = require('../sandbox');
+
+// Run rewritten code as a script, like the sandbox does, and return its
+// resolved value and the globals it left behind
+async function runWrapped(code) {
+  const wrapped = wrapTopLevelAwait(code);
+  assert.notStrictEqual(wrapped, null, 'expected a rewrite');
+  const context = vm.createContext({});
+  const value = await vm.runInContext(wrapped, context);
+  return { value, globals: context };
+}
+
+test('code without top-level await is left alone', () => {
+  assert.strictEqual(wrapTopLevelAwait('1 + 1'), null);
+  assert.strictEqual(wrapTopLevelAwait('const awaited = 1; awaited'), null);
+  assert.strictEqual(wrapTopLevelAwait('async function f() { await 1 } f()'), null);
+  assert.strictEqual(wrapTopLevelAwait('"await"'), null);
+  assert.strictEqual(wrapTopLevelAwait('await ('), null); // Syntax errors are left for QuickJS
+});
+
+test('the last expression becomes the resolved value', async () => {
+  assert.strictEqual((await runWrapped('await 1; 2 + 3')).value, 5);
+  assert.strictEqual((await runWrapped('const x = await Promise.resolve(4)\nx * 2')).value, 8);
+  assert.strictEqual((await runWrapped('await null; ({ a: 1 }).a')).value, 1);
+  assert.strictEqual((await runWrapped('await 1; if (true) { 2 }')).value, undefined);
+  assert.strictEqual((await runWrapped('const x = await 1')).value, undefined);
+});
+
+test('top-level declarations are hoisted to globals', async () => {
+  const { globals } = await runWrapped(`
+    const a = await 1;
+    let { b, c: [d, ...e] } = { b: 2, c: [3, 4, 5] };
+    var f;
+    function g() { return a + 1; }
+    class H {}
+    let i;
+  `);
+  assert.strictEqual(globals.a, 1);
+  assert.strictEqual(globals.b, 2);
+  assert.strictEqual(globals.d, 3);
+  assert.deepStrictEqual([...globals.e], [4, 5]);
+  assert.strictEqual(vm.runInContext('"f" in globalThis', globals), true);
+  assert.strictEqual(globals.g(), 2);
+  assert.strictEqual(typeof globals.H, 'function');
+  assert.strictEqual(vm.runInContext('"i" in globalThis', globals), true);
+});
+
+test('the sandbox returns the awaited value of the last expression', async () => {
+  const sandbox = new Sandbox();
+  const result = await sandbox.execute('const n = await new Promise(r => setTimeout(() => r(20), 10)); n + 1')
+    .finally(() => sandbox.dispose());
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.result, 21);
+});
@@ -0,0 +1,109 @@
+// Web platform globals inside the sandbox (see web-globals.js), checked
+// against Node's own implementations where there is one
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const Sandbox = require('../sandbox');
+
+// Run code in a fresh sandbox (like the bot, one per eval) and return its
+// JSON-able result
+async function run(code) {
+  const sandbox = new Sandbox();
+  const result = await sandbox.execute(code).finally(() => sandbox.dispose());
+  assert.strictEqual(result.success, true, result.error);
+  assert.notStrictEqual(result.resultType, 'rejected', result.display);
+  return result.result;
+}
+
+test('TextEncoder encodes UTF-8', async () => {
+  const text = 'héllo 🌍';
+  assert.deepStrictEqual(
+    await run(`[...new TextEncoder().encode(${JSON.stringify(text)})]`),
+    [...Buffer.from(text, 'utf8')]
+  );
+  assert.deepStrictEqual(
+    await run('const bytes = new Uint8Array(4); const r = new TextEncoder().encodeInto("héllo", bytes); [r.read, r.written, [...bytes]]'),
+    [3, 4, [104, 195, 169, 108]]
+  );
+});
+
+test('TextDecoder decodes UTF-8, replacing or rejecting invalid bytes', async () => {
+  const bytes = [...Buffer.from('naïve ✓', 'utf8')];
+  assert.strictEqual(await run(`new TextDecoder().decode(new Uint8Array(${JSON.stringify(bytes)}))`), 'naïve ✓');
+  assert.strictEqual(await run('new TextDecoder().decode(new Uint8Array([104, 255, 105]))'), 'h�i');
+  assert.strictEqual(await run('new TextDecoder().decode(new Uint8Array([0xEF, 0xBB, 0xBF, 104]))'), 'h');
+  assert.strictEqual(
+    await run('try { new TextDecoder("utf-8", { fatal: true }).decode(new Uint8Array([255])); "decoded" } catch (e) { e.name }'),
+    'TypeError'
+  );
+
+  // Multi-byte characters split across stream chunks
+  assert.strictEqual(
+    await run('const d = new TextDecoder(); d.decode(new Uint8Array([226, 156]), { stream: true }) + d.decode(new Uint8Array([147]))'),
+    '✓'
+  );
+  assert.strictEqual(
+    await run(`const d = new TextDecoder();
+      [[240], [159, 140], [141, 33]].map((chunk, i) => d.decode(new Uint8Array(chunk), { stream: i < 2 })).join("|")`),
+    '||🌍!'
+  );
+});
+
+test('atob and btoa round-trip Latin-1 and reject bad input', async () => {
+  const latin1 = 'Hello, wörldÿ';
+  assert.strictEqual(await run(`btoa(${JSON.stringify(latin1)})`), Buffer.from(latin1, 'latin1').toString('base64'));
+  assert.strictEqual(await run('atob("SGVsbG8=")'), 'Hello');
+  assert.strictEqual(await run('atob(" SGV sbG8 ")'), 'Hello');
+  assert.strictEqual(await run('try { btoa("✓") } catch (e) { e.name }'), 'InvalidCharacterError');
+  assert.strictEqual(await run('try { atob("abc*") } catch (e) { e.name }'), 'InvalidCharacterError');
+});
+
+test('URL parses and updates like Node', async () => {
+  const input = 'https://user:pw@Example.com:8080/a/../b/c?x=1&y=2#frag';
+  const parts = await run(`const u = new URL(${JSON.stringify(input)}); [u.href, u.origin, u.host, u.pathname, u.search, u.hash, u.username]`);
+  const url = new URL(input);
+  assert.deepStrictEqual(parts, [url.href, url.origin, url.host, url.pathname, url.search, url.hash, url.username]);
+
+  assert.strictEqual(await run('new URL("../d?q", "https://example.com/a/b/c").href'), 'https://example.com/a/d?q');
+  assert.strictEqual(await run('const u = new URL("https://example.com/"); u.pathname = "/x y"; u.searchParams.set("k", "v w"); u.href'),
+    'https://example.com/x%20y?k=v+w');
+  assert.strictEqual(await run('try { new URL("not a url") } catch (e) { e.name }'), 'TypeError');
+});
+
+test('URLSearchParams parses, edits and serializes', async () => {
+  assert.deepStrictEqual(
+    await run('const p = new URLSearchParams("?a=1&b=2&a=3"); p.append("c", "x y&z"); p.delete("b"); [p.getAll("a"), p.has("b"), p.toString()]'),
+    [['1', '3'], false, 'a=1&a=3&c=x+y%26z']
+  );
+  assert.strictEqual(await run('new URLSearchParams({ b: "2", a: "1" }).toString()'), 'b=2&a=1');
+  assert.strictEqual(await run('const p = new URLSearchParams("b=2&a=1&c=3"); p.sort(); p.toString()'), 'a=1&b=2&c=3');
+  assert.deepStrictEqual(await run('[...new URLSearchParams("q=%E2%9C%93+x")]'), [['q', '✓ x']]);
+});
+
+test('structuredClone deep-copies values and rejects functions', async () => {
+  assert.deepStrictEqual(
+    await run(`const o = { d: new Date(0), m: new Map([[1, { x: 1 }]]), s: new Set([1]), b: new Uint8Array([1, 2]) };
+      o.self = o;
+      const c = structuredClone(o);
+      [c !== o, c.self === c, c.d instanceof Date && c.d.getTime(), c.m.get(1).x, c.m.get(1) !== o.m.get(1), c.s.has(1), [...c.b], c.b.buffer !== o.b.buffer]`),
+    [true, true, 0, 1, true, true, [1, 2], true]
+  );
+  assert.strictEqual(await run('try { structuredClone({ f() {} }) } catch (e) { e.name }'), 'DataCloneError');
+});
+
+test('crypto.getRandomValues and randomUUID', async () => {
+  const [filled, length] = await run('const a = new Uint32Array(16); const r = crypto.getRandomValues(a); [r === a && a.some(v => v !== 0), a.length]');
+  assert.strictEqual(filled, true);
+  assert.strictEqual(length, 16);
+  assert.match(await run('crypto.randomUUID()'), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.strictEqual(await run('try { crypto.getRandomValues(new Uint8Array(70000)) } catch (e) { e.name }'), 'QuotaExceededError');
+});
+
+test('crypto.subtle.digest hashes like Node', async () => {
+  for (const [algorithm, node] of [['SHA-1', 'sha1'], ['SHA-256', 'sha256'], ['SHA-512', 'sha512']]) {
+    const hex = await run(`[...new Uint8Array(await crypto.subtle.digest(${JSON.stringify(algorithm)}, new TextEncoder().encode("abc")))]
+      .map(b => b.toString(16).padStart(2, "0")).join("")`);
+    assert.strictEqual(hex, crypto.createHash(node).update('abc').digest('hex'), algorithm);
+  }
+});
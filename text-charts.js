@@ -0,0 +1,157 @@
+// Text charts for the sandbox: Unicode block sparklines and compact
+// candlesticks, sized to fit a Bluesky reply. Runs inside the QuickJS sandbox
+// (the function is injected as source), so it must stay self-contained: no
+// closures over module scope
+
+/**
+ * Install sparkline() and candlesticks() on globalThis
+ */
+function installTextCharts() {
+  const BLOCKS = '▁▂▃▄▅▆▇█';
+
+  const clamp = (value, min, max, fallback) =>
+    (Number.isFinite(value) ? Math.min(Math.max(Math.round(value), min), max) : fallback);
+
+  // Short number: 1234.5678 -> 1234.57, 0.012345 -> 0.0123, 45600000 -> 45.6M
+  const format = (n) => {
+    const abs = Math.abs(n);
+    if (abs >= 1e9) return `${+(n / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+    return String(+n.toFixed(abs >= 100 ? 2 : abs >= 1 ? 3 : 4));
+  };
+
+  const percent = (from, to) => {
+    if (!from) return '';
+    const change = ((to - from) / Math.abs(from)) * 100;
+    return ` ${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+  };
+
+  // Numbers from an array of numbers, or of objects (close, then value, or options.key)
+  const toNumbers = (series, key) => {
+    if (!Array.isArray(series)) {
+      throw new TypeError('sparkline() expects an array of numbers or of objects with numeric fields');
+    }
+    return series.map((item) => {
+      const value = item !== null && typeof item === 'object'
+        ? item[key || ('close' in item ? 'close' : 'value')]
+        : item;
+      return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    });
+  };
+
+  // Split items into at most width consecutive groups
+  const buckets = (items, width) => {
+    if (items.length <= width) return items.map(item => [item]);
+    const groups = [];
+    for (let i = 0; i < width; i++) {
+      groups.push(items.slice(Math.floor((i * items.length) / width), Math.floor(((i + 1) * items.length) / width)));
+    }
+    return groups;
+  };
+
+  /**
+   * Render a series as a one-line block sparkline with first -> last, change
+   * and low/high annotations
+   *
+   * @param {Array<number|object>} series - Numbers, or objects such as stockChart quotes
+   * @param {object} options - { width = 40, key, annotate = true }
+   * @returns {string}
+   */
+  function sparkline(series, options = {}) {
+    const width = clamp(options.width, 2, 120, 40);
+    const raw = toNumbers(series, options.key);
+    const numbers = raw.filter(v => v !== null);
+    if (numbers.length === 0) {
+      throw new TypeError('sparkline() needs at least one number');
+    }
+
+    // Long series are averaged down to the width
+    const values = buckets(raw, width).map((group) => {
+      const present = group.filter(v => v !== null);
+      return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+    });
+    const low = Math.min(...values.filter(v => v !== null));
+    const high = Math.max(...values.filter(v => v !== null));
+    const line = values.map((v) => {
+      if (v === null) return ' ';
+      if (high === low) return BLOCKS[3];
+      return BLOCKS[Math.round(((v - low) / (high - low)) * (BLOCKS.length - 1))];
+    }).join('');
+
+    if (options.annotate === false) {
+      return line;
+    }
+    const min = Math.min(...numbers);
+    const max = Math.max(...numbers);
+    const first = numbers[0];
+    const last = numbers[numbers.length - 1];
+    return `${line} ${format(first)}→${format(last)}${percent(first, last)} (lo ${format(min)} hi ${format(max)})`;
+  }
+
+  /**
+   * Render OHLC bars as compact text candlesticks: █ rising body,
+   * ░ falling body, │ wick; one column per bar (merged to fit the width)
+   *
+   * @param {Array<object>} quotes - [{ open, high, low, close }], e.g. stockChart().quotes
+   * @param {object} options - { width = 30, height = 5, annotate = true }
+   * @returns {string}
+   */
+  function candlesticks(quotes, options = {}) {
+    if (!Array.isArray(quotes)) {
+      throw new TypeError('candlesticks() expects an array of { open, high, low, close }');
+    }
+    const width = clamp(options.width, 2, 60, 30);
+    const height = clamp(options.height, 2, 10, 5);
+
+    const valid = quotes.filter(q => q && ['open', 'high', 'low', 'close']
+      .every(k => typeof q[k] === 'number' && Number.isFinite(q[k])));
+    if (valid.length === 0) {
+      throw new TypeError('candlesticks() needs at least one bar with open, high, low and close');
+    }
+
+    const candles = buckets(valid, width).map(group => ({
+      open: group[0].open,
+      close: group[group.length - 1].close,
+      high: Math.max(...group.map(q => q.high)),
+      low: Math.min(...group.map(q => q.low))
+    }));
+
+    const min = Math.min(...candles.map(c => c.low));
+    const max = Math.max(...candles.map(c => c.high));
+    const step = (max - min) / height || 1;
+
+    const rows = [];
+    for (let row = 0; row < height; row++) {
+      const top = max - row * step;
+      const bottom = top - step;
+      let line = '';
+      for (const c of candles) {
+        const bodyTop = Math.max(c.open, c.close);
+        const bodyBottom = Math.min(c.open, c.close);
+        if (bodyTop >= bottom && bodyBottom <= top) {
+          line += c.close >= c.open ? '█' : '░';
+        } else if (c.high >= bottom && c.low <= top) {
+          line += '│';
+        } else {
+          line += ' ';
+        }
+      }
+      rows.push(line.replace(/ +$/, ''));
+    }
+
+    if (options.annotate === false) {
+      return rows.join('\n');
+    }
+    rows[0] += ` ${format(max)}`;
+    rows[rows.length - 1] += ` ${format(min)}`;
+    const first = valid[0].open;
+    const last = valid[valid.length - 1].close;
+    rows.push(`${format(first)}→${format(last)}${percent(first, last)}`);
+    return rows.join('\n');
+  }
+
+  globalThis.sparkline = sparkline;
+  globalThis.candlesticks = candlesticks;
+}
+
+module.exports = installTextCharts;
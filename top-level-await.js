@@ -0,0 +1,105 @@
+// Top-level await support for sandbox evals
+// QuickJS only allows await at the top level of modules, so script code that
+// uses it is rewritten into an async function, like Node's REPL does
+
+const acorn = require('acorn');
+
+const PARSE_OPTIONS = { ecmaVersion: 'latest', sourceType: 'script' };
+
+/**
+ * Collect the names bound by a declaration pattern
+ */
+function patternNames(pattern, names) {
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name);
+      break;
+    case 'ObjectPattern':
+      for (const property of pattern.properties) {
+        patternNames(property.type === 'RestElement' ? property.argument : property.value, names);
+      }
+      break;
+    case 'ArrayPattern':
+      for (const element of pattern.elements) {
+        if (element) patternNames(element, names);
+      }
+      break;
+    case 'RestElement':
+      patternNames(pattern.argument, names);
+      break;
+    case 'AssignmentPattern':
+      patternNames(pattern.left, names);
+      break;
+  }
+  return names;
+}
+
+/**
+ * Rewrite code that uses top-level await into an async function call
+ * Top-level declarations become globals so they outlive the function (and
+ * are persisted like any other global), and a trailing expression becomes
+ * the resolved value
+ *
+ * @param {string} code - User code
+ * @returns {string|null} - Rewritten code, or null if no rewrite is needed
+ */
+function wrapTopLevelAwait(code) {
+  if (!/\bawait\b/.test(code)) {
+    return null;
+  }
+
+  try {
+    acorn.parse(code, PARSE_OPTIONS);
+    return null; // Valid script already (await only inside async functions)
+  } catch (error) {
+    // Fall through: may be top-level await
+  }
+
+  let ast;
+  try {
+    ast = acorn.parse(code, { ...PARSE_OPTIONS, allowAwaitOutsideFunction: true });
+  } catch (error) {
+    return null; // A real syntax error, left for QuickJS to report
+  }
+
+  const source = (node) => code.slice(node.start, node.end);
+  const hoisted = [];
+  const functions = [];
+  const body = [];
+
+  ast.body.forEach((statement, index) => {
+    const isLast = index === ast.body.length - 1;
+
+    if (statement.type === 'VariableDeclaration') {
+      const assignments = [];
+      for (const declarator of statement.declarations) {
+        hoisted.push(...patternNames(declarator.id, []));
+        if (declarator.init) {
+          assignments.push(`(${source(declarator.id)} = ${source(declarator.init)})`);
+        } else if (statement.kind !== 'var') {
+          assignments.push(`(${source(declarator.id)} = undefined)`);
+        }
+      }
+      if (assignments.length > 0) {
+        body.push(`void (${assignments.join(', ')});`);
+      }
+    } else if (statement.type === 'FunctionDeclaration') {
+      functions.push(source(statement));
+    } else if (statement.type === 'ClassDeclaration') {
+      hoisted.push(statement.id.name);
+      body.push(`${statement.id.name} = ${source(statement)};`);
+    } else if (isLast && statement.type === 'ExpressionStatement') {
+      body.push(`return (${source(statement.expression)});`);
+    } else {
+      body.push(source(statement));
+    }
+  });
+
+  return [
+    hoisted.length > 0 ? `var ${[...new Set(hoisted)].join(', ')};` : '',
+    ...functions,
+    `(async () => {\n${body.join('\n')}\n})()`
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = wrapTopLevelAwait;
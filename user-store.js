@@ -0,0 +1,281 @@
+// Per-user key-value storage for sandbox code (the store global)
+// Values live in Redis in queue mode and in a JSON file in direct/STDIO mode
+
+const JsonFile = require('./json-file');
+const JsonFileWriter = require('./json-file-writer');
+const createRedisClient = require('./redis-client');
+
+class UserStore {
+  constructor(options = {}) {
+    this.file = options.file || null; // JSON file (direct/STDIO mode)
+    this.redisConfig = options.redis || null; // Redis connection settings (queue mode)
+    this.keyPrefix = options.keyPrefix || 'smegmascript:store:';
+    this.maxBytes = options.maxBytes || 65536; // keys plus JSON values, per user
+    this.maxKeys = options.maxKeys || 100; // per user
+    this.maxKeyLength = options.maxKeyLength || 128;
+    this.maxTTL = options.maxTTL || 30 * 86400; // seconds
+    this.maxUsers = options.maxUsers || 10000; // File mode
+
+    this.redis = null;
+    this.users = new Map(); // File mode: user -> { key: { value, expires } }
+    this.locks = new Map(); // user -> tail of that user's operation chain
+    this.writer = null; // File mode: batches saves into one write per saveDelay ms
+
+    if (this.redisConfig) {
+      this.redis = createRedisClient(this.redisConfig, 'Store');
+    } else {
+      this.load();
+      if (this.file) {
+        this.writer = new JsonFileWriter(this.file, 'Store', () => Object.fromEntries(this.users), {
+          delay: options.saveDelay
+        });
+      }
+    }
+  }
+
+  /**
+   * Load all users' data from the persistence file
+   */
+  load() {
+    const data = JsonFile.load(this.file, 'Store');
+    if (!data) {
+      return;
+    }
+
+    for (const [user, entries] of Object.entries(data)) {
+      this.users.set(user, entries);
+    }
+    console.log(`[Store] Loaded data for ${this.users.size} users`);
+  }
+
+  /**
+   * Run operations on one user's data one at a time, so concurrent evals
+   * by the same user don't overwrite each other's changes
+   */
+  withUser(user, fn) {
+    const previous = this.locks.get(user) || Promise.resolve();
+    const result = previous.then(() => fn());
+    const tail = result.catch(() => {});
+    this.locks.set(user, tail);
+    tail.then(() => {
+      if (this.locks.get(user) === tail) {
+        this.locks.delete(user);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Read a user's entries, dropping expired ones
+   * Entries have no prototype, so keys like "__proto__" and "toString" are
+   * ordinary keys
+   * @returns {Promise<object>} - { key: { value, expires } }
+   */
+  async read(user) {
+    const entries = Object.create(null);
+    if (this.redis) {
+      const json = await this.redis.get(this.keyPrefix + user);
+      Object.assign(entries, json ? JSON.parse(json) : {});
+    } else {
+      Object.assign(entries, this.users.get(user));
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expires && entry.expires <= now) {
+        delete entries[key];
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Write a user's entries (an empty object removes the user)
+   */
+  async write(user, entries) {
+    const keys = Object.keys(entries);
+
+    if (this.redis) {
+      const redisKey = this.keyPrefix + user;
+      if (keys.length === 0) {
+        await this.redis.del(redisKey);
+        return;
+      }
+
+      // The document can expire once every entry in it has
+      const expiries = keys.map(key => entries[key].expires);
+      if (expiries.every(Boolean)) {
+        await this.redis.set(redisKey, JSON.stringify(entries), 'PX', Math.max(Math.max(...expiries) - Date.now(), 1));
+      } else {
+        await this.redis.set(redisKey, JSON.stringify(entries));
+      }
+      return;
+    }
+
+    if (keys.length === 0) {
+      this.users.delete(user);
+    } else {
+      if (!this.users.has(user) && this.users.size >= this.maxUsers) {
+        throw new Error(`Store is full (max ${this.maxUsers} users)`);
+      }
+      this.users.set(user, entries);
+    }
+    this.save();
+  }
+
+  /**
+   * Write all users' data to the persistence file soon
+   */
+  save() {
+    if (this.writer) {
+      this.writer.schedule();
+    }
+  }
+
+  /**
+   * Bytes a user's entries count against the quota
+   */
+  usage(entries) {
+    let bytes = 0;
+    for (const [key, entry] of Object.entries(entries)) {
+      bytes += Buffer.byteLength(key, 'utf8') + Buffer.byteLength(JSON.stringify(entry.value), 'utf8');
+    }
+    return bytes;
+  }
+
+  /**
+   * Check a key name
+   */
+  checkKey(key) {
+    if (typeof key !== 'string' || key.length === 0) {
+      throw new Error('Key must be a non-empty string');
+    }
+    if (key.length > this.maxKeyLength) {
+      throw new Error(`Key is too long (max ${this.maxKeyLength} characters)`);
+    }
+  }
+
+  /**
+   * Get a value
+   * @returns {Promise<*>} - The value, or null if missing or expired
+   */
+  async get(user, key) {
+    this.checkKey(key);
+    const entries = await this.read(user);
+    return Object.hasOwn(entries, key) ? entries[key].value : null;
+  }
+
+  /**
+   * Set a value, optionally expiring after ttl seconds
+   * @throws {Error} - If the user's key or byte quota would be exceeded
+   */
+  async set(user, key, value, ttl) {
+    this.checkKey(key);
+    if (value === undefined) {
+      throw new Error('Value must be JSON-serializable');
+    }
+    if (ttl !== undefined && ttl !== null &&
+        (typeof ttl !== 'number' || !(ttl > 0) || ttl > this.maxTTL)) {
+      throw new Error(`TTL must be between 0 and ${this.maxTTL} seconds`);
+    }
+
+    return this.withUser(user, async () => {
+      const entries = await this.read(user);
+      entries[key] = ttl ? { value, expires: Date.now() + ttl * 1000 } : { value };
+
+      if (Object.keys(entries).length > this.maxKeys) {
+        throw new Error(`Store quota exceeded (max ${this.maxKeys} keys)`);
+      }
+      if (this.usage(entries) > this.maxBytes) {
+        throw new Error(`Store quota exceeded (max ${this.maxBytes} bytes)`);
+      }
+
+      await this.write(user, entries);
+      return true;
+    });
+  }
+
+  /**
+   * Delete a value
+   * @returns {Promise<boolean>} - True if the key existed
+   */
+  async delete(user, key) {
+    this.checkKey(key);
+    return this.withUser(user, async () => {
+      const entries = await this.read(user);
+      if (!Object.hasOwn(entries, key)) {
+        return false;
+      }
+      delete entries[key];
+      await this.write(user, entries);
+      return true;
+    });
+  }
+
+  /**
+   * List a user's keys, optionally only those starting with a prefix
+   */
+  async keys(user, prefix = '') {
+    const entries = await this.read(user);
+    return Object.keys(entries).filter(key => key.startsWith(prefix)).sort();
+  }
+
+  /**
+   * Summarize a user's data for admins
+   * @returns {Promise<object>} - { keys, bytes, entries: [{ key, bytes, expires }] }
+   */
+  async inspect(user) {
+    const entries = await this.read(user);
+    return {
+      keys: Object.keys(entries).length,
+      bytes: this.usage(entries),
+      entries: Object.keys(entries).sort().map(key => ({
+        key,
+        bytes: Buffer.byteLength(JSON.stringify(entries[key].value), 'utf8'),
+        expires: entries[key].expires || null
+      }))
+    };
+  }
+
+  /**
+   * Remove all of a user's data
+   * @returns {Promise<boolean>} - True if there was data to remove
+   */
+  async purge(user) {
+    return this.withUser(user, async () => {
+      const entries = await this.read(user);
+      const existed = Object.keys(entries).length > 0;
+      await this.write(user, {});
+      console.log(`[Store] Purged data for ${user}`);
+      return existed;
+    });
+  }
+
+  /**
+   * Host functions exposed to sandboxes through SandboxPool
+   * The user is always the calling author, so evals only see their own data
+   */
+  getHostHandlers() {
+    return {
+      'store.get': ([key], caller) => this.get(caller.author, key),
+      'store.set': ([key, value, ttl], caller) => this.set(caller.author, key, value, ttl),
+      'store.delete': ([key], caller) => this.delete(caller.author, key),
+      'store.keys': ([prefix], caller) => this.keys(caller.author, prefix || '')
+    };
+  }
+
+  /**
+   * Write pending changes to the file and close the Redis connection
+   */
+  async close() {
+    if (this.writer) {
+      await this.writer.flush();
+    }
+    if (this.redis) {
+      await this.redis.quit();
+      this.redis = null;
+    }
+  }
+}
+
+module.exports = UserStore;
@@ -0,0 +1,211 @@
+// Named limit tiers (default, trusted, admin, restricted, ...)
+// Resolves each user to a tier whose limits apply to their evals; tiers and
+// DID assignments come from config, admin-made assignments persist to a file
+
+const JsonFile = require('./json-file');
+
+// Built-in tiers; config.json can override their limits or add new tiers
+// Limits a tier leaves out come from the default tier
+const DEFAULT_TIERS = {
+  default: {
+    timeout: 5000, // ms
+    memoryLimit: 128, // MB
+    cooldown: 5000, // ms between evals
+    httpRequestsPerEval: 5,
+    httpRequestLimit: 25, // per HTTP rate window
+    stockRequestsPerEval: 10
+  },
+  trusted: {
+    timeout: 10000,
+    memoryLimit: 256,
+    cooldown: 2000,
+    httpRequestsPerEval: 10,
+    httpRequestLimit: 60,
+    stockRequestsPerEval: 20
+  },
+  admin: {
+    timeout: 15000,
+    memoryLimit: 256,
+    cooldown: 0,
+    httpRequestsPerEval: 20,
+    httpRequestLimit: 120,
+    stockRequestsPerEval: 50
+  },
+  restricted: {
+    timeout: 2000,
+    memoryLimit: 32,
+    cooldown: 30000,
+    httpRequestsPerEval: 1,
+    httpRequestLimit: 5,
+    stockRequestsPerEval: 2
+  }
+};
+
+const LIMIT_NAMES = Object.keys(DEFAULT_TIERS.default);
+
+// Limits that must be above zero (0 would fail every eval); the rest may be 0
+const POSITIVE_LIMITS = new Set(['timeout', 'memoryLimit']);
+
+class UserTiers {
+  constructor(options = {}) {
+    this.file = options.file || null; // Admin-made assignments (JSON)
+    this.defaultTier = options.defaultTier || 'default';
+    this.adminTier = options.adminTier || 'admin'; // Tier for admins without an assignment
+
+    // name -> limits, with missing limits filled from the default tier
+    const configured = { ...DEFAULT_TIERS };
+    for (const [name, limits] of Object.entries(options.tiers || {})) {
+      configured[name] = { ...configured[name], ...limits };
+    }
+    const base = { ...DEFAULT_TIERS.default, ...configured[this.defaultTier] };
+    this.tiers = new Map();
+    for (const [name, limits] of Object.entries(configured)) {
+      this.tiers.set(name, this.validate(name, { ...base, ...limits }));
+    }
+    if (!this.tiers.has(this.defaultTier)) {
+      throw new Error(`Unknown default tier: ${this.defaultTier}`);
+    }
+
+    this.configured = new Map(); // did -> tier, from config (read-only)
+    for (const [did, tier] of Object.entries(options.assignments || {})) {
+      this.checkTier(tier);
+      this.configured.set(did, tier);
+    }
+    this.assigned = new Map(); // did -> tier, from admin commands (persisted)
+
+    this.load();
+  }
+
+  /**
+   * Check a tier's limits are non-negative numbers, and positive where 0
+   * would make every eval fail
+   * @returns {object} - The limits
+   */
+  validate(name, limits) {
+    for (const limit of LIMIT_NAMES) {
+      const value = limits[limit];
+      if (POSITIVE_LIMITS.has(limit)) {
+        if (typeof value !== 'number' || !(value > 0)) {
+          throw new Error(`Tier ${name}: ${limit} must be a positive number`);
+        }
+      } else if (typeof value !== 'number' || !(value >= 0)) {
+        throw new Error(`Tier ${name}: ${limit} must be a non-negative number`);
+      }
+    }
+    return limits;
+  }
+
+  /**
+   * Throw if a tier name is unknown
+   */
+  checkTier(name) {
+    if (!this.tiers.has(name)) {
+      throw new Error(`Unknown tier: ${name} (tiers: ${[...this.tiers.keys()].join(', ')})`);
+    }
+  }
+
+  /**
+   * Load admin-made assignments from the persistence file
+   */
+  load() {
+    const data = JsonFile.load(this.file, 'Tiers');
+    if (!data) {
+      return;
+    }
+
+    for (const [did, tier] of Object.entries(data)) {
+      if (this.tiers.has(tier)) {
+        this.assigned.set(did, tier);
+      } else {
+        console.error(`[Tiers] Ignoring unknown tier ${tier} for ${did}`);
+      }
+    }
+    console.log(`[Tiers] Loaded ${this.assigned.size} tier assignments`);
+  }
+
+  /**
+   * Write admin-made assignments to the persistence file
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    JsonFile.save(this.file, Object.fromEntries(this.assigned), 2);
+  }
+
+  /**
+   * Name of a user's tier: admin assignment, then config, then the admin
+   * tier for admins, then the default tier
+   */
+  tierOf(did, isAdmin = false) {
+    return this.assigned.get(did) ||
+      this.configured.get(did) ||
+      (isAdmin && this.tiers.has(this.adminTier) ? this.adminTier : this.defaultTier);
+  }
+
+  /**
+   * Resolve a user's tier and its limits
+   * @returns {object} - { name, timeout, memoryLimit, cooldown, httpRequestsPerEval, ... }
+   */
+  resolve(did, isAdmin = false) {
+    const name = this.tierOf(did, isAdmin);
+    return { name, ...this.tiers.get(name) };
+  }
+
+  /**
+   * Limits of a tier by name
+   */
+  getTier(name) {
+    this.checkTier(name);
+    return { name, ...this.tiers.get(name) };
+  }
+
+  /**
+   * Assign a user to a tier
+   * @throws {Error} - If the tier is unknown
+   */
+  assign(did, tier) {
+    this.checkTier(tier);
+    this.assigned.set(did, tier);
+    this.save();
+    console.log(`[Tiers] Assigned ${did} to ${tier}`);
+  }
+
+  /**
+   * Remove an admin-made assignment (config assignments still apply)
+   * @returns {boolean} - True if there was an assignment to remove
+   */
+  unassign(did) {
+    if (!this.assigned.delete(did)) {
+      return false;
+    }
+    this.save();
+    console.log(`[Tiers] Cleared tier for ${did}`);
+    return true;
+  }
+
+  /**
+   * Tier names with the number of users explicitly assigned to each
+   */
+  list() {
+    const counts = new Map([...this.tiers.keys()].map(name => [name, 0]));
+    const assignments = new Map([...this.configured, ...this.assigned]);
+    for (const tier of assignments.values()) {
+      counts.set(tier, counts.get(tier) + 1);
+    }
+    return [...counts].map(([name, users]) => ({ name, users }));
+  }
+
+  /**
+   * Short description of a tier's limits, e.g. for admin replies
+   */
+  describe(name) {
+    const limits = this.tiers.get(name);
+    return `${name}: ${limits.timeout / 1000}s, ${limits.memoryLimit}MB, ` +
+      `${limits.cooldown / 1000}s cooldown, ${limits.httpRequestsPerEval} req/eval ` +
+      `(${limits.httpRequestLimit}/window), ${limits.stockRequestsPerEval} stock/eval`;
+  }
+}
+
+module.exports = UserTiers;
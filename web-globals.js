@@ -0,0 +1,629 @@
+// Web platform globals for the sandbox
+// TextEncoder/TextDecoder, atob/btoa, URL, URLSearchParams, structuredClone
+// and crypto. Runs inside the QuickJS sandbox (the function is injected as
+// source), so it must stay self-contained: no closures over module scope
+
+/**
+ * Install the web globals on globalThis
+ * Randomness, hashing and URL parsing are delegated to the host
+ *
+ * @param {Function} randomBytes - Host callback (size) -> hex string
+ * @param {Function} digest - Host callback (algorithm, hex) -> hex string
+ * @param {Function} parseURL - Host callback (input, base, property, value) -> JSON URL parts
+ */
+function installWebGlobals(randomBytes, digest, parseURL) {
+  const inspectCustom = Symbol.for('nodejs.util.inspect.custom');
+  const toStringTag = (v) => Object.prototype.toString.call(v).slice(8, -1);
+
+  class DOMException extends Error {
+    constructor(message = '', name = 'Error') {
+      super(message);
+      Object.defineProperty(this, 'name', { value: String(name), writable: true, configurable: true });
+    }
+  }
+
+  // Bytes of an ArrayBuffer or view, without copying
+  const toBytes = (data, what) => {
+    if (data instanceof ArrayBuffer) {
+      return new Uint8Array(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    throw new TypeError(`The "${what}" argument must be an ArrayBuffer or ArrayBufferView`);
+  };
+
+  const toHex = (bytes) => {
+    let hex = '';
+    for (let i = 0; i < bytes.length; i++) {
+      hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    }
+    return hex;
+  };
+
+  const fromHex = (hex) => {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  };
+
+  // TextEncoder / TextDecoder (UTF-8 only)
+
+  const encodeUtf8 = (input) => {
+    const str = String(input);
+    const bytes = [];
+    for (let i = 0; i < str.length; i++) {
+      let code = str.charCodeAt(i);
+      if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length &&
+          str.charCodeAt(i + 1) >= 0xdc00 && str.charCodeAt(i + 1) <= 0xdfff) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (str.charCodeAt(++i) - 0xdc00);
+      } else if (code >= 0xd800 && code <= 0xdfff) {
+        code = 0xfffd; // Lone surrogate
+      }
+
+      if (code < 0x80) {
+        bytes.push(code);
+      } else if (code < 0x800) {
+        bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+      } else if (code < 0x10000) {
+        bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+      } else {
+        bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+      }
+    }
+    return new Uint8Array(bytes);
+  };
+
+  // WHATWG UTF-8 decoder: each invalid sequence becomes one U+FFFD
+  const decodeUtf8 = (bytes, fatal) => {
+    const chunks = [];
+    let codes = [];
+    const push = (code) => {
+      codes.push(code);
+      if (codes.length >= 4096) {
+        chunks.push(String.fromCodePoint(...codes));
+        codes = [];
+      }
+    };
+    const invalid = () => {
+      if (fatal) {
+        throw new TypeError('The encoded data was not valid for encoding utf-8');
+      }
+      push(0xfffd);
+    };
+
+    let code = 0;
+    let needed = 0;
+    let seen = 0;
+    let lower = 0x80;
+    let upper = 0xbf;
+
+    for (let i = 0; i < bytes.length; i++) {
+      const byte = bytes[i];
+
+      if (needed === 0) {
+        if (byte <= 0x7f) {
+          push(byte);
+        } else if (byte >= 0xc2 && byte <= 0xdf) {
+          needed = 1;
+          code = byte & 0x1f;
+        } else if (byte >= 0xe0 && byte <= 0xef) {
+          if (byte === 0xe0) lower = 0xa0;
+          if (byte === 0xed) upper = 0x9f;
+          needed = 2;
+          code = byte & 0xf;
+        } else if (byte >= 0xf0 && byte <= 0xf4) {
+          if (byte === 0xf0) lower = 0x90;
+          if (byte === 0xf4) upper = 0x8f;
+          needed = 3;
+          code = byte & 0x7;
+        } else {
+          invalid();
+        }
+        continue;
+      }
+
+      if (byte < lower || byte > upper) {
+        // Truncated sequence: replace it and reprocess this byte
+        code = needed = seen = 0;
+        lower = 0x80;
+        upper = 0xbf;
+        invalid();
+        i--;
+        continue;
+      }
+
+      lower = 0x80;
+      upper = 0xbf;
+      code = (code << 6) | (byte & 0x3f);
+      if (++seen === needed) {
+        push(code);
+        code = needed = seen = 0;
+      }
+    }
+
+    if (needed > 0) {
+      invalid();
+    }
+
+    chunks.push(String.fromCodePoint(...codes));
+    return chunks.join('');
+  };
+
+  // Bytes at the end of a chunk that start a sequence the chunk cuts off
+  const incompleteTail = (bytes) => {
+    for (let k = 1; k <= Math.min(3, bytes.length); k++) {
+      const byte = bytes[bytes.length - k];
+      if (byte >= 0x80 && byte <= 0xbf) {
+        continue;
+      }
+      const length = byte >= 0xf0 && byte <= 0xf4 ? 4 : byte >= 0xe0 && byte <= 0xef ? 3 : byte >= 0xc2 && byte <= 0xdf ? 2 : 1;
+      return length > k ? k : 0;
+    }
+    return 0;
+  };
+
+  const UTF8_LABELS = ['utf-8', 'utf8', 'unicode-1-1-utf-8'];
+  const decoderState = new WeakMap(); // decoder -> { pending, started } while streaming
+
+  class TextEncoder {
+    constructor() {
+      Object.defineProperty(this, 'encoding', { value: 'utf-8', enumerable: true });
+    }
+
+    encode(input = '') {
+      return encodeUtf8(input);
+    }
+
+    encodeInto(source, destination) {
+      const str = String(source);
+      let read = 0;
+      let written = 0;
+      for (const char of str) {
+        const bytes = encodeUtf8(char);
+        if (written + bytes.length > destination.length) {
+          break;
+        }
+        destination.set(bytes, written);
+        written += bytes.length;
+        read += char.length;
+      }
+      return { read, written };
+    }
+  }
+
+  class TextDecoder {
+    constructor(label = 'utf-8', options = {}) {
+      if (!UTF8_LABELS.includes(String(label).trim().toLowerCase())) {
+        throw new RangeError(`The "${label}" encoding is not supported`);
+      }
+      Object.defineProperty(this, 'encoding', { value: 'utf-8', enumerable: true });
+      Object.defineProperty(this, 'fatal', { value: Boolean(options.fatal), enumerable: true });
+      Object.defineProperty(this, 'ignoreBOM', { value: Boolean(options.ignoreBOM), enumerable: true });
+    }
+
+    decode(input, options = {}) {
+      // With { stream: true }, a sequence cut off at the end of the chunk
+      // is kept for the next call
+      const state = decoderState.get(this) || { pending: [], started: false };
+      let bytes = input === undefined ? new Uint8Array(0) : toBytes(input, 'input');
+      if (state.pending.length > 0) {
+        bytes = new Uint8Array([...state.pending, ...bytes]);
+      }
+      const held = options && options.stream ? incompleteTail(bytes) : 0;
+      const text = decodeUtf8(held > 0 ? bytes.subarray(0, bytes.length - held) : bytes, this.fatal);
+      const bom = !this.ignoreBOM && !state.started && text.charCodeAt(0) === 0xfeff;
+
+      if (options && options.stream) {
+        decoderState.set(this, { pending: [...bytes.subarray(bytes.length - held)], started: state.started || text.length > 0 });
+      } else {
+        decoderState.delete(this);
+      }
+      return bom ? text.slice(1) : text;
+    }
+  }
+
+  // atob / btoa
+
+  const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  const btoa = (data) => {
+    const str = String(data);
+    let out = '';
+    for (let i = 0; i < str.length; i += 3) {
+      const a = str.charCodeAt(i);
+      const b = i + 1 < str.length ? str.charCodeAt(i + 1) : 0;
+      const c = i + 2 < str.length ? str.charCodeAt(i + 2) : 0;
+      if (a > 0xff || b > 0xff || c > 0xff) {
+        throw new DOMException('Invalid character', 'InvalidCharacterError');
+      }
+      const bits = (a << 16) | (b << 8) | c;
+      out += BASE64[bits >> 18] + BASE64[(bits >> 12) & 0x3f] +
+        (i + 1 < str.length ? BASE64[(bits >> 6) & 0x3f] : '=') +
+        (i + 2 < str.length ? BASE64[bits & 0x3f] : '=');
+    }
+    return out;
+  };
+
+  const atob = (data) => {
+    let str = String(data).replace(/[\t\n\f\r ]/g, '');
+    if (str.length % 4 === 0) {
+      str = str.replace(/={1,2}$/, '');
+    }
+    if (str.length % 4 === 1 || /[^A-Za-z0-9+/]/.test(str)) {
+      throw new DOMException('The string to be decoded is not correctly encoded.', 'InvalidCharacterError');
+    }
+
+    let out = '';
+    let bits = 0;
+    let count = 0;
+    for (let i = 0; i < str.length; i++) {
+      bits = (bits << 6) | BASE64.indexOf(str[i]);
+      count += 6;
+      if (count >= 8) {
+        count -= 8;
+        out += String.fromCharCode((bits >> count) & 0xff);
+      }
+    }
+    return out;
+  };
+
+  // URLSearchParams
+
+  const formEncode = (str) => encodeURIComponent(str)
+    .replace(/[!'()~]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/%20/g, '+');
+
+  const formDecode = (str) => {
+    const spaced = str.replace(/\+/g, ' ');
+    try {
+      return decodeURIComponent(spaced);
+    } catch (e) {
+      // Malformed escapes are kept as-is, like browsers do
+      return spaced.replace(/(?:%[0-9A-Fa-f]{2})+/g, (run) => {
+        try {
+          return decodeURIComponent(run);
+        } catch (err) {
+          return run;
+        }
+      });
+    }
+  };
+
+  const parseQuery = (query) => {
+    const list = [];
+    for (const pair of query.replace(/^\?/, '').split('&')) {
+      if (!pair) continue;
+      const index = pair.indexOf('=');
+      list.push(index === -1
+        ? [formDecode(pair), '']
+        : [formDecode(pair.slice(0, index)), formDecode(pair.slice(index + 1))]);
+    }
+    return list;
+  };
+
+  // Internal state kept out of reach (and out of inspector output)
+  const paramsState = new WeakMap(); // params -> { list, url }
+  const urlState = new WeakMap(); // url -> { parts, params }
+
+  const paramsOf = (params) => {
+    const state = paramsState.get(params);
+    if (!state) {
+      throw new TypeError('Value of "this" must be of type URLSearchParams');
+    }
+    return state;
+  };
+
+  class URLSearchParams {
+    constructor(init = '') {
+      let list;
+      if (init instanceof URLSearchParams) {
+        list = paramsOf(init).list.map(([name, value]) => [name, value]);
+      } else if (init !== null && typeof init === 'object' && typeof init[Symbol.iterator] === 'function') {
+        list = [...init].map((pair) => {
+          const entry = [...pair];
+          if (entry.length !== 2) {
+            throw new TypeError('Each query pair must be an iterable [name, value] tuple');
+          }
+          return [String(entry[0]), String(entry[1])];
+        });
+      } else if (init !== null && typeof init === 'object') {
+        list = Object.keys(init).map(name => [name, String(init[name])]);
+      } else {
+        list = parseQuery(String(init));
+      }
+      paramsState.set(this, { list, url: null });
+    }
+
+    get size() {
+      return paramsOf(this).list.length;
+    }
+
+    append(name, value) {
+      paramsOf(this).list.push([String(name), String(value)]);
+      updateSearch(this);
+    }
+
+    delete(name, value) {
+      const state = paramsOf(this);
+      state.list = state.list.filter(([n, v]) => n !== String(name) || (value !== undefined && v !== String(value)));
+      updateSearch(this);
+    }
+
+    get(name) {
+      const entry = paramsOf(this).list.find(([n]) => n === String(name));
+      return entry ? entry[1] : null;
+    }
+
+    getAll(name) {
+      return paramsOf(this).list.filter(([n]) => n === String(name)).map(([, v]) => v);
+    }
+
+    has(name, value) {
+      return paramsOf(this).list.some(([n, v]) => n === String(name) && (value === undefined || v === String(value)));
+    }
+
+    set(name, value) {
+      const state = paramsOf(this);
+      const index = state.list.findIndex(([n]) => n === String(name));
+      if (index === -1) {
+        state.list.push([String(name), String(value)]);
+      } else {
+        state.list[index] = [String(name), String(value)];
+        state.list = state.list.filter(([n], i) => i <= index || n !== String(name));
+      }
+      updateSearch(this);
+    }
+
+    sort() {
+      const state = paramsOf(this);
+      state.list = state.list
+        .map((entry, index) => [entry, index])
+        .sort(([a, i], [b, j]) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : i - j))
+        .map(([entry]) => entry);
+      updateSearch(this);
+    }
+
+    forEach(callback, thisArg) {
+      for (const [name, value] of this.entries()) {
+        callback.call(thisArg, value, name, this);
+      }
+    }
+
+    entries() {
+      return paramsOf(this).list.map(([name, value]) => [name, value])[Symbol.iterator]();
+    }
+
+    keys() {
+      return paramsOf(this).list.map(([name]) => name)[Symbol.iterator]();
+    }
+
+    values() {
+      return paramsOf(this).list.map(([, value]) => value)[Symbol.iterator]();
+    }
+
+    [Symbol.iterator]() {
+      return this.entries();
+    }
+
+    toString() {
+      return paramsOf(this).list.map(([name, value]) => `${formEncode(name)}=${formEncode(value)}`).join('&');
+    }
+
+    [inspectCustom](depth, options, inspect) {
+      const entries = paramsOf(this).list.map(([name, value]) => `${inspect(name)} => ${inspect(value)}`);
+      return entries.length > 0 ? `URLSearchParams { ${entries.join(', ')} }` : 'URLSearchParams {}';
+    }
+  }
+
+  // URL (parsed and re-serialized by the host's WHATWG URL implementation)
+
+  const URL_PROPERTIES = [
+    'href', 'origin', 'protocol', 'username', 'password', 'host',
+    'hostname', 'port', 'pathname', 'search', 'hash'
+  ];
+
+  const urlOf = (url) => {
+    const state = urlState.get(url);
+    if (!state) {
+      throw new TypeError('Value of "this" must be of type URL');
+    }
+    return state;
+  };
+
+  // Push a params change into the owning URL's query string
+  const updateSearch = (params) => {
+    const { url, list } = paramsOf(params);
+    if (url) {
+      const state = urlOf(url);
+      state.parts = JSON.parse(parseURL(state.parts.href, null, 'search', list.length > 0 ? params.toString() : ''));
+    }
+  };
+
+  class URL {
+    constructor(url, base) {
+      const parts = JSON.parse(parseURL(String(url), base === undefined ? null : String(base), null, null));
+      const params = new URLSearchParams(parts.search);
+      paramsOf(params).url = this;
+      urlState.set(this, { parts, params });
+    }
+
+    static canParse(url, base) {
+      try {
+        parseURL(String(url), base === undefined ? null : String(base), null, null);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    get searchParams() {
+      return urlOf(this).params;
+    }
+
+    toString() {
+      return urlOf(this).parts.href;
+    }
+
+    toJSON() {
+      return urlOf(this).parts.href;
+    }
+
+    [inspectCustom](depth, options, inspect) {
+      const { parts, params } = urlOf(this);
+      const fields = {};
+      for (const name of URL_PROPERTIES) {
+        fields[name] = parts[name];
+      }
+      fields.searchParams = params;
+      return `URL ${inspect(fields)}`;
+    }
+  }
+
+  for (const name of URL_PROPERTIES) {
+    Object.defineProperty(URL.prototype, name, {
+      get() {
+        return urlOf(this).parts[name];
+      },
+      set: name === 'origin' ? undefined : function(value) {
+        const state = urlOf(this);
+        state.parts = JSON.parse(parseURL(state.parts.href, null, name, String(value)));
+        if (name === 'href' || name === 'search') {
+          paramsOf(state.params).list = parseQuery(state.parts.search);
+        }
+      },
+      enumerable: true,
+      configurable: true
+    });
+  }
+
+  // structuredClone
+
+  const ERROR_TYPES = ['Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError'];
+  const TYPED_ARRAYS = [
+    'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+    'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+  ];
+
+  const uncloneable = (value) => {
+    let description;
+    try {
+      description = typeof value === 'function' ? String(value).split('\n')[0] : String(value);
+    } catch (e) {
+      description = Object.prototype.toString.call(value);
+    }
+    return new DOMException(`${description} could not be cloned.`, 'DataCloneError');
+  };
+
+  const clone = (value, memory) => {
+    if (typeof value === 'function' || typeof value === 'symbol') {
+      throw uncloneable(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (memory.has(value)) {
+      return memory.get(value);
+    }
+
+    const tag = toStringTag(value);
+    let copy;
+
+    if (tag === 'Boolean' || tag === 'Number' || tag === 'String' || tag === 'BigInt') {
+      copy = Object(value.valueOf());
+    } else if (tag === 'Date') {
+      copy = new Date(value.getTime());
+    } else if (tag === 'RegExp') {
+      copy = new RegExp(value.source, value.flags);
+    } else if (tag === 'ArrayBuffer') {
+      copy = value.slice(0);
+    } else if (tag === 'DataView') {
+      copy = new DataView(clone(value.buffer, memory), value.byteOffset, value.byteLength);
+    } else if (TYPED_ARRAYS.includes(tag)) {
+      copy = new globalThis[tag](clone(value.buffer, memory), value.byteOffset, value.length);
+    } else if (tag === 'Map') {
+      copy = new Map();
+      memory.set(value, copy);
+      for (const [k, v] of value) {
+        copy.set(clone(k, memory), clone(v, memory));
+      }
+    } else if (tag === 'Set') {
+      copy = new Set();
+      memory.set(value, copy);
+      for (const v of value) {
+        copy.add(clone(v, memory));
+      }
+    } else if (tag === 'Error') {
+      const name = ERROR_TYPES.includes(value.name) ? value.name : 'Error';
+      copy = new globalThis[name](value.message);
+      if (typeof value.stack === 'string') {
+        Object.defineProperty(copy, 'stack', { value: value.stack, writable: true, configurable: true });
+      }
+    } else if (tag === 'Array' || tag === 'Object') {
+      copy = tag === 'Array' ? new Array(value.length) : {};
+      memory.set(value, copy);
+      for (const key of Object.keys(value)) {
+        copy[key] = clone(value[key], memory);
+      }
+    } else {
+      throw uncloneable(value);
+    }
+
+    memory.set(value, copy);
+    return copy;
+  };
+
+  const structuredClone = (value) => clone(value, new Map());
+
+  // crypto
+
+  const INTEGER_ARRAYS = TYPED_ARRAYS.filter(name => !name.startsWith('Float'));
+
+  const getRandomValues = (array) => {
+    if (!ArrayBuffer.isView(array) || !INTEGER_ARRAYS.includes(toStringTag(array))) {
+      throw new DOMException('The data argument must be an integer-type TypedArray', 'TypeMismatchError');
+    }
+    if (array.byteLength > 65536) {
+      throw new DOMException(
+        `The ArrayBufferView's byte length (${array.byteLength}) exceeds the number of bytes of entropy available via this API (65536)`,
+        'QuotaExceededError'
+      );
+    }
+    toBytes(array, 'array').set(fromHex(randomBytes(array.byteLength)));
+    return array;
+  };
+
+  const randomUUID = () => {
+    const bytes = getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variant 10
+    const hex = toHex(bytes);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  };
+
+  const DIGEST_ALGORITHMS = ['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512'];
+
+  const subtle = {
+    async digest(algorithm, data) {
+      const name = String(algorithm && typeof algorithm === 'object' ? algorithm.name : algorithm).toUpperCase();
+      if (!DIGEST_ALGORITHMS.includes(name)) {
+        throw new DOMException('Unrecognized algorithm name', 'NotSupportedError');
+      }
+      return fromHex(digest(name, toHex(toBytes(data, 'data')))).buffer;
+    }
+  };
+
+  globalThis.DOMException = DOMException;
+  globalThis.TextEncoder = TextEncoder;
+  globalThis.TextDecoder = TextDecoder;
+  globalThis.atob = atob;
+  globalThis.btoa = btoa;
+  globalThis.URL = URL;
+  globalThis.URLSearchParams = URLSearchParams;
+  globalThis.structuredClone = structuredClone;
+  globalThis.crypto = { getRandomValues, randomUUID, subtle };
+}
+
+module.exports = installWebGlobals;
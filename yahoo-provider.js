@@ -0,0 +1,111 @@
+// Yahoo Finance market-data provider
+// Wraps yahoo-finance2 behind the provider interface (see market-data.js)
+
+const YahooFinance = require('yahoo-finance2').default;
+
+// Yahoo's wording for unknown or delisted symbols
+const NOT_FOUND = /not found|delisted|no data|invalid symbol/i;
+
+class YahooProvider {
+  constructor() {
+    this.name = 'yahoo';
+    this.yahooFinance = new YahooFinance({ suppressNotices: ['yahooSurvey'] });
+  }
+
+  /**
+   * Convert a Yahoo quote to the provider quote shape
+   */
+  toQuote(quote) {
+    return {
+      symbol: quote.symbol,
+      name: quote.shortName || quote.longName,
+      price: quote.regularMarketPrice,
+      change: quote.regularMarketChange,
+      changePercent: quote.regularMarketChangePercent,
+      open: quote.regularMarketOpen,
+      high: quote.regularMarketDayHigh,
+      low: quote.regularMarketDayLow,
+      volume: quote.regularMarketVolume,
+      marketCap: quote.marketCap,
+      currency: quote.currency,
+      exchange: quote.fullExchangeName
+    };
+  }
+
+  /**
+   * Mark unknown-symbol errors so MarketData doesn't treat them as an outage
+   */
+  async request(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (NOT_FOUND.test(error.message)) {
+        error.notFound = true;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Quote for one symbol
+   */
+  async quote(symbol) {
+    const quote = await this.request(() => this.yahooFinance.quote(symbol));
+    if (!quote) {
+      const error = new Error(`Symbol not found: ${symbol}`);
+      error.notFound = true;
+      throw error;
+    }
+    return this.toQuote(quote);
+  }
+
+  /**
+   * Quotes for several symbols in one request
+   */
+  async quotes(symbols) {
+    const quotes = await this.request(() => this.yahooFinance.quote(symbols));
+
+    // Handle both single and multiple results
+    return (Array.isArray(quotes) ? quotes : [quotes]).filter(Boolean).map(quote => this.toQuote(quote));
+  }
+
+  /**
+   * Historical prices from a start date (to an end date, or now) at an interval
+   */
+  async chart(symbol, { start, end, interval }) {
+    const query = { period1: start, interval, ...(end ? { period2: end } : {}) };
+    const result = await this.request(() => this.yahooFinance.chart(symbol, query));
+
+    return {
+      symbol: result.meta.symbol,
+      currency: result.meta.currency,
+      timezone: result.meta.timezone,
+      quotes: (result.quotes || []).map(q => ({
+        date: q.date,
+        open: q.open,
+        high: q.high,
+        low: q.low,
+        close: q.close,
+        volume: q.volume
+      }))
+    };
+  }
+
+  /**
+   * Symbols matching a company name or ticker
+   */
+  async search(query) {
+    const result = await this.request(() => this.yahooFinance.search(query, { newsCount: 0 }));
+
+    return (result.quotes || [])
+      .filter(q => q.symbol)
+      .map(q => ({
+        symbol: q.symbol,
+        name: q.shortname || q.longname || null,
+        exchange: q.exchDisp || q.exchange || null,
+        type: q.quoteType || null
+      }));
+  }
+}
+
+module.exports = YahooProvider;